@@ -3,9 +3,9 @@
  * Main application entry point with comprehensive error handling and browser compatibility
  */
 
-// Application state with performance monitoring and error tracking
+// Page-wide state shared by all viewers: browser support and critical errors
 const AppState = {
-  isLoaded: false,
+  isLoaded: false, // True once any viewer has finished loading
   hasError: false,
   errorMessage: "",
   browserSupport: {
@@ -13,58 +13,122 @@ const AppState = {
     customProperties: false,
     requestAnimationFrame: false,
     touchEvents: false,
+    pointerEvents: false,
     modernCSS: false,
+    clipPathShapes: false,
+    customElements: false,
+    webgl: false,
+    filters: false,
   },
-  imageState: {
-    isLoading: true,
+}
+
+/**
+ * Create per-viewer state with performance monitoring and error tracking
+ */
+function createViewerState() {
+  return {
     isLoaded: false,
-    hasError: false,
-    errorMessage: "",
-    retryCount: 0,
-    maxRetries: 3,
-  },
-  viewport: {
-    x: 0.5, // Normalized position (0-1)
-    y: 0.5,
-    radius: 150, // Default radius in pixels
-  },
-  input: {
-    mouseX: 0,
-    mouseY: 0,
-    keysPressed: new Set(),
-    isMouseActive: false,
-    touchActive: false,
-    keyboardActive: false,
-  },
-  keyboard: {
-    animationId: null,
-    isMoving: false,
-  },
-  container: {
-    width: 0,
-    height: 0,
-  },
-  performance: {
-    frameCount: 0,
-    lastFpsUpdate: 0,
-    fps: 0,
-    updateCount: 0,
-    lastUpdateTime: 0,
-  },
+    imageState: {
+      isLoading: true,
+      isLoaded: false,
+      hasError: false,
+      errorMessage: "",
+      retryCount: 0,
+      maxRetries: 3,
+      naturalWidth: 0, // Intrinsic size of the loaded image in pixels
+      naturalHeight: 0,
+    },
+    viewport: {
+      x: 0.5, // Normalized container position (0-1), derived from imageX/imageY
+      y: 0.5,
+      imageX: null, // Lens centre in intrinsic image pixels (source of truth across resizes)
+      imageY: null,
+      radius: 150, // Default radius in pixels
+      radiusOverride: null, // Radius set by a running tour (wins over the radius attribute)
+      zoom: 1, // Magnification inside the lens (1 = no magnification)
+      shape: "circle", // Lens shape name (see LensShapes)
+    },
+    optics: parseOptics(null), // Lens optics for renderers that support them (see DEFAULT_OPTICS)
+    input: {
+      pointerX: 0, // Last mouse, finger or pen position (client pixels)
+      pointerY: 0,
+      pointers: new Map(), // Pressed pointers: pointerId → { clientX, clientY, pointerType }
+      keysPressed: new Map(), // Held movement keys: event.code → action
+      shiftKey: false, // Fast movement modifier
+      altKey: false, // Precision movement modifier
+      activeSource: null, // Input steering the lens: "mouse", "touch", "pen", "keyboard", "gamepad" or null
+    },
+    keyboard: {
+      animationId: null,
+      isMoving: false,
+      heldSince: 0, // When the first movement key went down (for acceleration)
+    },
+    container: {
+      width: 0,
+      height: 0,
+    },
+    performance: {
+      frameCount: 0,
+      lastFpsUpdate: 0,
+      fps: 0,
+      updateCount: 0,
+      lastUpdateTime: 0,
+    },
+  }
+}
+
+/**
+ * Default lens optics (used by the WebGL renderer)
+ *
+ * distortion: barrel distortion strength (0-0.9), magnifies the centre of the lens
+ * vignette: darkening towards the rim (0-1)
+ * aberration: colour fringing at the rim, as a fraction of the lens radius (0-0.1)
+ * softness: focus falloff towards the rim (0-1)
+ */
+const DEFAULT_OPTICS = {
+  distortion: 0.15,
+  vignette: 0.35,
+  aberration: 0.012,
+  softness: 0.4,
 }
 
-// DOM elements
-let binocularContainer = null
-let backgroundImage = null
-let viewportMask = null
-let loadingIndicator = null
-let errorContainer = null
+/**
+ * Parse an optics attribute ("distortion=0.3, vignette=0.5" or "none") over the defaults
+ */
+function parseOptics(value) {
+  const optics = { ...DEFAULT_OPTICS }
+  if (!value) return optics
+
+  if (value.trim() === "none") {
+    for (const name of Object.keys(optics)) {
+      optics[name] = 0
+    }
+    return optics
+  }
+
+  for (const setting of value.split(/[,;\s]+/)) {
+    if (!setting) continue
+
+    const [name, rawValue] = setting.split(/[:=]/)
+    const number = Number.parseFloat(rawValue)
+
+    if (!(name in optics) || !Number.isFinite(number)) {
+      console.warn(`Ignoring optics setting: ${setting}`)
+      continue
+    }
+
+    optics[name] = Math.max(0, number)
+  }
+
+  return optics
+}
 
 /**
  * Browser Compatibility Detection and Feature Support
  */
 class BrowserCompatibility {
   constructor() {
+    this.fallbacksApplied = false
     this.detectFeatures()
   }
 
@@ -84,9 +148,24 @@ class BrowserCompatibility {
     // Test touch events support
     AppState.browserSupport.touchEvents = this.supportsTouchEvents()
 
+    // Test Pointer Events support (mouse, touch and pen input)
+    AppState.browserSupport.pointerEvents = this.supportsPointerEvents()
+
     // Overall modern CSS support
     AppState.browserSupport.modernCSS = this.supportsModernCSS()
 
+    // Test clip-path: path() support for non-circular lens shapes
+    AppState.browserSupport.clipPathShapes = this.supportsClipPathShapes()
+
+    // Test custom elements support (required for <binocular-viewer>)
+    AppState.browserSupport.customElements = this.supportsCustomElements()
+
+    // Test WebGL support for the optical lens renderer
+    AppState.browserSupport.webgl = this.supportsWebGL()
+
+    // Test CSS filter support for the blurred and greyscale surround modes
+    AppState.browserSupport.filters = this.supportsCSSFilters()
+
     console.log("Browser compatibility detected:", AppState.browserSupport)
   }
 
@@ -128,6 +207,13 @@ class BrowserCompatibility {
     return "ontouchstart" in window || navigator.maxTouchPoints > 0
   }
 
+  /**
+   * Test Pointer Events support
+   */
+  supportsPointerEvents() {
+    return "PointerEvent" in window
+  }
+
   /**
    * Test overall modern CSS support
    */
@@ -145,9 +231,95 @@ class BrowserCompatibility {
   }
 
   /**
-   * Apply fallbacks for unsupported features
+   * Test clip-path: path() support
+   */
+  supportsClipPathShapes() {
+    try {
+      return window.CSS && CSS.supports && CSS.supports("clip-path", 'path("M 0 0 H 1 V 1 Z")')
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * Test CSS filter support
+   */
+  supportsCSSFilters() {
+    try {
+      return window.CSS && CSS.supports && CSS.supports("filter", "blur(1px)")
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * Test custom elements support
+   */
+  supportsCustomElements() {
+    return "customElements" in window && typeof window.customElements.define === "function"
+  }
+
+  /**
+   * Test WebGL support
+   */
+  supportsWebGL() {
+    try {
+      const canvas = document.createElement("canvas")
+      const gl = canvas.getContext("webgl") || canvas.getContext("experimental-webgl")
+      if (!gl) return false
+
+      // Release the test context straight away (browsers limit live contexts)
+      const loseContext = gl.getExtension("WEBGL_lose_context")
+      if (loseContext) loseContext.loseContext()
+      return true
+    } catch (e) {
+      return false
+    }
+  }
+
+  /**
+   * Pick a lens renderer ("css" or "webgl") for a renderer attribute value ("auto" by default)
+   */
+  selectLensRenderer(preference) {
+    if (preference === "css") return "css"
+
+    // The WebGL lens is drawn inside the CSS clip, so it needs clip-path as well
+    if (!AppState.browserSupport.webgl || !AppState.browserSupport.clipPath) {
+      if (preference === "webgl") {
+        console.warn("WebGL lens renderer requested but not supported, using CSS")
+      }
+      return "css"
+    }
+
+    return "webgl"
+  }
+
+  /**
+   * Pick a usable surround mode, degrading filtered modes to "dim" where they would not work
+   */
+  selectSurroundMode(mode) {
+    const surround = SurroundModes[mode]
+    if (!surround || !surround.filter || this.supportsSurroundFilters()) return mode
+
+    console.warn(`Surround mode "${mode}" is not supported here, using "dim"`)
+    return "dim"
+  }
+
+  /**
+   * Check whether the filtered surround modes (blur, greyscale, outline) can be used
+   */
+  supportsSurroundFilters() {
+    // Filters need the clipped lens layer on top, or the inside of the lens is filtered too
+    const support = AppState.browserSupport
+    return support.filters && support.clipPath && support.customProperties
+  }
+
+  /**
+   * Apply fallbacks for unsupported features (page-wide, so only once)
    */
   applyFallbacks() {
+    if (this.fallbacksApplied) return
+    this.fallbacksApplied = true
     if (!AppState.browserSupport.clipPath) {
       this.applyClipPathFallback()
     }
@@ -190,7 +362,7 @@ class BrowserCompatibility {
         background: transparent;
         left: calc(var(--viewport-x) - var(--viewport-radius));
         top: calc(var(--viewport-y) - var(--viewport-radius));
-        box-shadow: 0 0 0 2000px rgba(0, 0, 0, 0.95);
+        box-shadow: 0 0 0 2000px rgba(0, 0, 0, var(--surround-dim, 0.95));
         transition: all 0.1s ease;
       }
     `
@@ -261,41 +433,150 @@ class BrowserCompatibility {
  * Image Loading Manager with error handling and retry logic
  */
 class ImageLoader {
-  constructor() {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
     // Use test image URL if in test mode
-    this.imageUrl = window.TEST_IMAGE_URL || "strategy.png"
-    this.fallbackUrls = ["./strategy.png", "assets/strategy.png", "images/strategy.png"]
+    this.defaultImageUrl = window.TEST_IMAGE_URL || "strategy.png"
+    this.defaultFallbackUrls = ["./strategy.png", "assets/strategy.png", "images/strategy.png"]
+    this.imageUrl = this.defaultImageUrl
+    this.fallbackUrls = this.defaultFallbackUrls
 
     // In test mode, don't use fallbacks to test error handling
     if (window.TEST_MODE) {
+      this.defaultFallbackUrls = []
       this.fallbackUrls = []
     }
+
+    // Loaded image element (null for tile pyramids), used by the WebGL lens renderer
+    this.currentImage = null
+
+    // Where the current image came from: "url", "file" (picker or drop) or "clipboard"
+    this.source = { type: "url", name: this.imageUrl }
+
+    // Image URL currently on screen (object URLs are released when replaced)
+    this.displayedUrl = null
+
+    // Incremented per load so results of superseded or cancelled loads are ignored
+    this.loadId = 0
+  }
+
+  /**
+   * Set the image source (fallback paths only apply to the default image)
+   */
+  setImageUrl(url) {
+    const imageUrl = url || this.defaultImageUrl
+    this.imageUrl = imageUrl
+    this.fallbackUrls = imageUrl === this.defaultImageUrl ? this.defaultFallbackUrls : []
+    this.source = { type: "url", name: imageUrl }
+  }
+
+  /**
+   * Load a local image file (file picker, drag-and-drop or clipboard) through an object URL
+   */
+  loadFile(file, sourceType = "file") {
+    if (!file) return
+
+    const name = sourceType === "clipboard" ? "pasted image" : file.name || "image"
+    if (!file.type.startsWith("image/")) {
+      console.warn(`Ignoring non-image file: ${name} (${file.type || "unknown type"})`)
+      showUserError(`"${escapeHtml(name)}" is not an image file.`)
+      return
+    }
+
+    this.imageUrl = URL.createObjectURL(file)
+    this.fallbackUrls = []
+    this.source = { type: sourceType, name, size: file.size, lastModified: file.lastModified }
+    this.state.imageState.retryCount = 0
+
+    console.log(`Loading local image from ${sourceType}: ${name}`)
+    this.loadImage()
+  }
+
+  /**
+   * Check whether the current image can be shared by URL (local files cannot)
+   */
+  isShareable() {
+    return this.source.type === "url"
+  }
+
+  /**
+   * URL other viewers can load the current image from (null for local files)
+   */
+  getShareableUrl() {
+    return this.isShareable() ? this.source.name : null
+  }
+
+  /**
+   * Key that identifies the current image on later visits (null for pasted images, which have none)
+   *
+   * Local files are told apart by name, byte size, modification time and dimensions.
+   */
+  getStorageId() {
+    const { type, name, size, lastModified } = this.source
+    if (type === "url") return `url:${name}`
+    if (type === "clipboard") return null
+
+    const { naturalWidth, naturalHeight } = this.state.imageState
+    return `${type}:${name}:${size}:${lastModified}:${naturalWidth}x${naturalHeight}`
+  }
+
+  /**
+   * Name of the current image without folders or extension, for naming exported files
+   */
+  getBaseName() {
+    return this.source.name.split(/[?#]/)[0].split("/").pop().replace(/\.[^.]*$/, "") || "image"
   }
 
   /**
    * Load image with comprehensive error handling
    */
   async loadImage() {
-    AppState.imageState.isLoading = true
-    AppState.imageState.hasError = false
+    const loadId = ++this.loadId
+
+    this.state.imageState.isLoading = true
+    this.state.imageState.hasError = false
     this.updateLoadingState("Loading background image...")
+    this.viewer.descriptionManager.announce("Loading image")
 
     try {
+      // Tile pyramids are drawn tile by tile instead of as one background image
+      if (isTiledImageUrl(this.imageUrl)) {
+        const tileSource = await loadTileSource(this.imageUrl)
+        if (loadId !== this.loadId) return
+        this.handleImageSuccess(null, tileSource)
+        return
+      }
+
       // Try primary image URL first
-      await this.tryLoadImage(this.imageUrl)
-      this.handleImageSuccess()
+      const img = await this.tryLoadImage(this.imageUrl)
+      if (loadId !== this.loadId) return
+      this.handleImageSuccess(img)
     } catch (error) {
+      if (loadId !== this.loadId) return
       console.warn(`Failed to load primary image: ${error.message}`)
-      await this.tryFallbackImages()
+      await this.tryFallbackImages(loadId)
     }
   }
 
+  /**
+   * Ignore the result of any load in progress (e.g. when the viewer is removed)
+   */
+  cancel() {
+    this.loadId++
+  }
+
   /**
    * Try loading image from URL
+   *
+   * Asks for CORS first so the WebGL lens and PNG export can read the pixels, then
+   * retries once without it for servers that send no CORS headers.
    */
-  tryLoadImage(url) {
+  tryLoadImage(url, crossOrigin = true) {
     return new Promise((resolve, reject) => {
       const img = new Image()
+      if (crossOrigin) img.crossOrigin = "anonymous"
 
       // Set up timeout
       const timeout = setTimeout(() => {
@@ -310,6 +591,11 @@ class ImageLoader {
 
       img.onerror = () => {
         clearTimeout(timeout)
+        if (crossOrigin) {
+          console.warn(`CORS image load failed, retrying without CORS: ${url}`)
+          resolve(this.tryLoadImage(url, false))
+          return
+        }
         reject(new Error(`Failed to load image: ${url}`))
       }
 
@@ -321,17 +607,20 @@ class ImageLoader {
   /**
    * Try fallback image URLs
    */
-  async tryFallbackImages() {
+  async tryFallbackImages(loadId) {
     for (const fallbackUrl of this.fallbackUrls) {
       try {
         console.log(`Trying fallback image: ${fallbackUrl}`)
-        await this.tryLoadImage(fallbackUrl)
+        const img = await this.tryLoadImage(fallbackUrl)
+        if (loadId !== this.loadId) return
         this.imageUrl = fallbackUrl // Update successful URL
-        this.handleImageSuccess()
+        this.handleImageSuccess(img)
         return
       } catch (error) {
         console.warn(`Fallback failed: ${error.message}`)
       }
+
+      if (loadId !== this.loadId) return
     }
 
     // All attempts failed
@@ -339,27 +628,61 @@ class ImageLoader {
   }
 
   /**
-   * Handle successful image load
+   * Handle successful image load (img for single images, tileSource for tile pyramids)
    */
-  handleImageSuccess() {
-    AppState.imageState.isLoading = false
-    AppState.imageState.isLoaded = true
-    AppState.imageState.hasError = false
-    AppState.imageState.retryCount = 0
+  handleImageSuccess(img, tileSource = null) {
+    this.state.imageState.isLoading = false
+    this.state.imageState.isLoaded = true
+    this.state.imageState.hasError = false
+    this.state.imageState.retryCount = 0
+
+    // Remember the intrinsic size for image-space coordinates
+    this.state.imageState.naturalWidth = tileSource ? tileSource.width : img.naturalWidth
+    this.state.imageState.naturalHeight = tileSource ? tileSource.height : img.naturalHeight
+    this.viewer.viewportController.invalidateLayout()
 
     this.updateLoadingState("Image loaded successfully")
 
-    // Update background image
-    if (backgroundImage) {
-      backgroundImage.style.backgroundImage = `url("${this.imageUrl}")`
+    const { backgroundImage, viewportLensImage } = this.viewer
+
+    // Release the previous local image once the new one is on screen
+    if (this.displayedUrl && this.displayedUrl !== this.imageUrl && this.displayedUrl.startsWith("blob:")) {
+      URL.revokeObjectURL(this.displayedUrl)
+    }
+    this.displayedUrl = this.imageUrl
+
+    // Give the lens renderer the new image
+    this.currentImage = tileSource ? null : img
+    this.viewer.updateLensImage(this.currentImage)
+
+    if (tileSource) {
+      // Tiles are drawn onto canvases inside the background and lens layers
+      if (backgroundImage) backgroundImage.style.backgroundImage = "none"
+      if (viewportLensImage) viewportLensImage.style.backgroundImage = "none"
+      this.viewer.tileRenderer.attach(tileSource)
+    } else {
+      this.viewer.tileRenderer.detach()
+
+      // Update background image
+      if (backgroundImage) {
+        backgroundImage.style.backgroundImage = `url("${this.imageUrl}")`
 
-      // Apply mobile-specific background fixes
-      this.applyMobileBackgroundFixes()
+        // Apply mobile-specific background fixes
+        this.applyMobileBackgroundFixes()
+      }
+
+      // Keep the magnified lens layer in sync with the background
+      if (viewportLensImage) {
+        viewportLensImage.style.backgroundImage = `url("${this.imageUrl}")`
+        this.syncLensBackground()
+      }
     }
 
+    this.viewer.dispatchEvent(new CustomEvent("imageload", { detail: { src: this.imageUrl, source: this.source } }))
+
     // Initialize viewport after successful load
-    setTimeout(() => {
-      initializeViewport()
+    this.viewer.schedule(() => {
+      this.viewer.initializeViewport()
       this.hideLoadingIndicator()
     }, 500)
   }
@@ -368,11 +691,12 @@ class ImageLoader {
    * Apply mobile-specific background image fixes
    */
   applyMobileBackgroundFixes() {
+    const { backgroundImage } = this.viewer
     if (!backgroundImage) return
 
     // Check if we're on a mobile device
-    const isMobile = responsiveManager.shouldUseTouchOptimizations()
-    const isSmallScreen = AppState.container.width <= 480 || AppState.container.height <= 800
+    const isMobile = this.viewer.responsiveManager.shouldUseTouchOptimizations()
+    const isSmallScreen = this.state.container.width <= 480 || this.state.container.height <= 800
 
     if (isMobile || isSmallScreen) {
       console.log("Applying mobile background image fixes...")
@@ -383,11 +707,11 @@ class ImageLoader {
       backgroundImage.style.backgroundAttachment = "scroll"
       backgroundImage.style.backgroundRepeat = "no-repeat"
 
-      // Ensure proper dimensions
-      backgroundImage.style.width = "100vw"
-      backgroundImage.style.height = "100vh"
-      backgroundImage.style.minWidth = "100vw"
-      backgroundImage.style.minHeight = "100vh"
+      // Ensure proper dimensions (relative to the viewer element, not the window)
+      backgroundImage.style.width = "100%"
+      backgroundImage.style.height = "100%"
+      backgroundImage.style.minWidth = "100%"
+      backgroundImage.style.minHeight = "100%"
 
       // iOS Safari specific fixes
       backgroundImage.style.webkitBackgroundSize = "cover"
@@ -401,24 +725,50 @@ class ImageLoader {
     }
   }
 
+  /**
+   * Mirror the background sizing onto the lens layer so magnification lines up
+   */
+  syncLensBackground() {
+    const { backgroundImage, viewportLensImage } = this.viewer
+    if (!backgroundImage || !viewportLensImage) return
+
+    // Media queries may override background-size, so copy the computed values
+    const computedStyle = getComputedStyle(backgroundImage)
+    viewportLensImage.style.backgroundSize = computedStyle.backgroundSize
+    viewportLensImage.style.backgroundPosition = computedStyle.backgroundPosition
+    viewportLensImage.style.backgroundRepeat = computedStyle.backgroundRepeat
+  }
+
   /**
    * Handle image loading error
    */
   handleImageError(message) {
-    AppState.imageState.isLoading = false
-    AppState.imageState.isLoaded = false
-    AppState.imageState.hasError = true
-    AppState.imageState.errorMessage = message
+    this.state.imageState.isLoading = false
+    this.state.imageState.isLoaded = false
+    this.state.imageState.hasError = true
+    this.state.imageState.errorMessage = message
 
     console.error("Image loading failed:", message)
     this.showErrorState(message)
+
+    const canRetry = this.state.imageState.retryCount < this.state.imageState.maxRetries
+    this.viewer.descriptionManager.alert(
+      `The image could not be loaded. ${canRetry ? "Use the Retry Loading button to try again." : "Maximum retry attempts reached."}`
+    )
+
+    this.viewer.dispatchEvent(new CustomEvent("imageerror", { detail: { message, source: this.source } }))
   }
 
   /**
    * Update loading state display
    */
   updateLoadingState(message) {
+    const { loadingIndicator } = this.viewer
     if (loadingIndicator) {
+      // Make sure the indicator is visible again when loading a new source
+      loadingIndicator.style.display = ""
+      loadingIndicator.style.opacity = ""
+      loadingIndicator.classList.remove("error")
       loadingIndicator.innerHTML = `<p>${message}</p>`
     }
   }
@@ -433,24 +783,47 @@ class ImageLoader {
         <p>${message}</p>
         <p>The binocular viewer requires a background image to function properly.</p>
         ${
-          AppState.imageState.retryCount < AppState.imageState.maxRetries
-            ? '<button onclick="retryImageLoad()" class="retry-button">Retry Loading</button>'
+          this.state.imageState.retryCount < this.state.imageState.maxRetries
+            ? '<button type="button" class="retry-button">Retry Loading</button>'
             : "<p><em>Maximum retry attempts reached.</em></p>"
         }
         <div class="error-details">
           <p><strong>Troubleshooting:</strong></p>
           <ul>
-            <li>Check that "strategy.png" exists in the same directory</li>
-            <li>Verify your internet connection</li>
-            <li>Try refreshing the page</li>
+            ${this.getTroubleshootingTips()
+              .map((tip) => `<li>${tip}</li>`)
+              .join("")}
           </ul>
         </div>
       </div>
     `
 
+    const { loadingIndicator } = this.viewer
     if (loadingIndicator) {
       loadingIndicator.innerHTML = errorHtml
       loadingIndicator.classList.add("error")
+
+      // Bind retry to this viewer instead of a global onclick handler
+      const retryButton = loadingIndicator.querySelector(".retry-button")
+      if (retryButton) {
+        retryButton.addEventListener("click", () => this.retry())
+      }
+    }
+  }
+
+  /**
+   * Troubleshooting hints for the current source type
+   */
+  getTroubleshootingTips() {
+    const name = escapeHtml(this.source.name)
+
+    switch (this.source.type) {
+      case "file":
+        return [`Check that "${name}" is a valid image (PNG, JPEG, GIF, WebP or SVG)`, "Try opening the file again"]
+      case "clipboard":
+        return ["Copy the image again and paste it into the viewer", "Some apps copy images in formats browsers cannot display"]
+      default:
+        return [`Check that "${name}" exists and is reachable`, "Verify your internet connection", "Try refreshing the page"]
     }
   }
 
@@ -458,9 +831,10 @@ class ImageLoader {
    * Hide loading indicator
    */
   hideLoadingIndicator() {
+    const { loadingIndicator } = this.viewer
     if (loadingIndicator) {
       loadingIndicator.style.opacity = "0"
-      setTimeout(() => {
+      this.viewer.schedule(() => {
         loadingIndicator.style.display = "none"
       }, 300)
     }
@@ -470,130 +844,69 @@ class ImageLoader {
    * Retry image loading
    */
   retry() {
-    if (AppState.imageState.retryCount >= AppState.imageState.maxRetries) {
+    if (this.state.imageState.retryCount >= this.state.imageState.maxRetries) {
       console.warn("Maximum retry attempts reached")
       return
     }
 
-    AppState.imageState.retryCount++
-    console.log(`Retrying image load (attempt ${AppState.imageState.retryCount})`)
+    this.state.imageState.retryCount++
+    console.log(`Retrying image load (attempt ${this.state.imageState.retryCount})`)
 
-    if (loadingIndicator) {
-      loadingIndicator.classList.remove("error")
+    if (this.viewer.loadingIndicator) {
+      this.viewer.loadingIndicator.classList.remove("error")
     }
 
     this.loadImage()
-  }
-}
-
-// Global retry function for button onclick
-function retryImageLoad() {
-  if (window.imageLoader) {
-    window.imageLoader.retry()
-  }
-}
-
-// Create instances
-const browserCompatibility = new BrowserCompatibility()
-const imageLoader = new ImageLoader()
-
-/**
- * Initialize the application with comprehensive error handling
- */
-function init() {
-  console.log("Initializing Binocular Viewer with error handling and browser compatibility...")
-
-  try {
-    // Get DOM elements
-    binocularContainer = document.querySelector(".binocular-container")
-    backgroundImage = document.querySelector(".background-image")
-    viewportMask = document.querySelector(".viewport-mask")
-    loadingIndicator = document.querySelector(".loading-indicator")
-    errorContainer = document.querySelector(".error-container")
-
-    if (!binocularContainer || !backgroundImage || !viewportMask) {
-      throw new Error("Required DOM elements not found")
-    }
-
-    // Apply browser compatibility fallbacks
-    browserCompatibility.applyFallbacks()
-
-    // Set up initial state
-    updateContainerDimensions()
-
-    // Set up event listeners with error handling
-    setupEventListeners()
-
-    // Start image loading process
-    window.imageLoader = imageLoader
-    imageLoader.loadImage()
-
-    // Show touch instructions on mobile devices
-    showTouchInstructions()
-
-    console.log("Binocular Viewer initialization completed")
-  } catch (error) {
-    console.error("Failed to initialize Binocular Viewer:", error)
-    handleInitializationError(error)
-  }
-}
-
-/**
- * Handle initialization errors
- */
-function handleInitializationError(error) {
-  AppState.hasError = true
-  AppState.errorMessage = error.message
-
-  const errorHtml = `
-    <div class="initialization-error">
-      <h2>🚫 Initialization Error</h2>
-      <p>The binocular viewer failed to initialize properly.</p>
-      <p><strong>Error:</strong> ${error.message}</p>
-      <div class="error-actions">
-        <button onclick="location.reload()" class="retry-button">Reload Page</button>
-      </div>
-      <div class="error-details">
-        <p><strong>Browser Information:</strong></p>
-        <ul>
-          <li>User Agent: ${navigator.userAgent}</li>
-          <li>Clip-path Support: ${AppState.browserSupport.clipPath ? "✅" : "❌"}</li>
-          <li>Custom Properties: ${AppState.browserSupport.customProperties ? "✅" : "❌"}</li>
-          <li>Modern CSS: ${AppState.browserSupport.modernCSS ? "✅" : "❌"}</li>
-        </ul>
-      </div>
-    </div>
-  `
 
-  if (loadingIndicator) {
-    loadingIndicator.innerHTML = errorHtml
-    loadingIndicator.classList.add("error", "critical")
-  } else {
-    // Fallback if loading indicator doesn't exist
-    document.body.innerHTML = errorHtml
+    // Replaces the generic loading announcement
+    this.viewer.descriptionManager.announce(
+      `Retrying, attempt ${this.state.imageState.retryCount} of ${this.state.imageState.maxRetries}`
+    )
   }
 }
 
-/**
- * Update container dimensions
- */
-function updateContainerDimensions() {
-  AppState.container.width = window.innerWidth
-  AppState.container.height = window.innerHeight
-}
-
 /**
  * Optimized ViewportController class with performance enhancements
  */
 class ViewportController {
-  constructor() {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
     this.smoothingFactor = 0.15 // Slightly increased for smoother movement
     this.touchSmoothingFactor = 0.4 // Faster response for touch
     this.boundaryPadding = 0.02 // Reduced padding for better mobile experience
 
+    // Magnification limits and step sizes
+    this.minZoom = 1
+    this.maxZoom = 8
+    this.keyboardZoomStep = 1.25 // Multiplier per +/- key press
+    this.wheelZoomSensitivity = 0.0015 // Exponential zoom per wheel pixel
+
+    // Keyboard movement acceleration, modifiers and step sizes
+    this.keyboardAccelerationDelay = 200 // Held time before movement speeds up (ms)
+    this.keyboardAccelerationTime = 1500 // Time from the base speed to full speed (ms)
+    this.keyboardMaxAcceleration = 4 // Full speed as a multiple of the base speed
+    this.fastMoveMultiplier = 3 // With Shift held
+    this.precisionMoveMultiplier = 0.25 // With Alt held (no acceleration)
+    this.keyboardPageStep = 0.25 // Page Up/Down step as a fraction of the viewer height
+    this.keyboardResizeStep = 1.15 // Lens radius multiplier per resize key press
+
+    // Lens pixels moved per finger pixel in trackpad touch mode
+    this.trackpadSpeed = 1.5
+
     // Performance optimization: cache frequently used calculations
     this.cachedBounds = null
     this.lastContainerSize = { width: 0, height: 0 }
+    this.lastRadius = 0
+    this.lastShape = null
+    this.lastLayout = null
+
+    // Displayed image rectangle within the container (see getImageLayout)
+    this.cachedLayout = null
+
+    // Running animateTo frame
+    this.animationId = null
 
     // Movement interpolation cache
     this.targetPosition = { x: 0.5, y: 0.5 }
@@ -602,100 +915,418 @@ class ViewportController {
   }
 
   /**
-   * Convert mouse/touch coordinates to normalized viewport position
+   * Get the displayed image rectangle inside the container, in container pixels
+   *
+   * Mirrors the background-size (cover or contain) and centred background-position
+   * of .background-image, so image pixels can be mapped to the screen and back.
    */
-  mouseToViewportPosition(clientX, clientY) {
-    const normalizedX = clientX / AppState.container.width
-    const normalizedY = clientY / AppState.container.height
-
-    return this.applyBoundaryConstraints(normalizedX, normalizedY)
-  }
+  getImageLayout() {
+    const { width, height } = this.state.container
+    const { naturalWidth, naturalHeight } = this.state.imageState
 
-  /**
-   * Optimized boundary constraints with caching for better performance
-   */
-  applyBoundaryConstraints(x, y) {
-    // Cache boundary calculations if container size hasn't changed
     if (
-      !this.cachedBounds ||
-      this.lastContainerSize.width !== AppState.container.width ||
-      this.lastContainerSize.height !== AppState.container.height
+      this.cachedLayout &&
+      this.cachedLayout.containerWidth === width &&
+      this.cachedLayout.containerHeight === height &&
+      this.cachedLayout.naturalWidth === naturalWidth &&
+      this.cachedLayout.naturalHeight === naturalHeight
     ) {
-      // Calculate the viewport radius as a percentage of container dimensions
-      const radiusX = AppState.viewport.radius / AppState.container.width
-      const radiusY = AppState.viewport.radius / AppState.container.height
-
-      // Dynamic boundary padding based on screen size
-      let dynamicPadding = this.boundaryPadding
-
-      // Reduce padding on smaller screens for better usable area
-      if (AppState.container.width < 768) {
-        dynamicPadding = 0.01
-      }
+      return this.cachedLayout
+    }
 
-      // Cache the boundary values
-      this.cachedBounds = {
-        minX: radiusX + dynamicPadding,
-        maxX: 1 - radiusX - dynamicPadding,
-        minY: radiusY + dynamicPadding,
-        maxY: 1 - radiusY - dynamicPadding,
-      }
+    // Until the image is loaded, treat the container itself as the image
+    let scale = 1
+    let imageWidth = naturalWidth || width
+    let imageHeight = naturalHeight || height
 
-      this.lastContainerSize = {
-        width: AppState.container.width,
-        height: AppState.container.height,
-      }
+    if (naturalWidth && naturalHeight) {
+      const scaleX = width / naturalWidth
+      const scaleY = height / naturalHeight
+      scale = this.getBackgroundSizeMode() === "contain" ? Math.min(scaleX, scaleY) : Math.max(scaleX, scaleY)
+    } else {
+      imageWidth = width
+      imageHeight = height
     }
 
-    // Use cached bounds for constraint calculations
-    const constrainedX = Math.max(this.cachedBounds.minX, Math.min(this.cachedBounds.maxX, x))
-    const constrainedY = Math.max(this.cachedBounds.minY, Math.min(this.cachedBounds.maxY, y))
+    const displayWidth = imageWidth * scale
+    const displayHeight = imageHeight * scale
+
+    this.cachedLayout = {
+      containerWidth: width,
+      containerHeight: height,
+      naturalWidth,
+      naturalHeight,
+      scale,
+      offsetX: (width - displayWidth) / 2,
+      offsetY: (height - displayHeight) / 2,
+      width: displayWidth,
+      height: displayHeight,
+    }
 
-    return { x: constrainedX, y: constrainedY }
+    return this.cachedLayout
   }
 
   /**
-   * Update viewport position with smooth interpolation
+   * Read the background sizing mode (legacy browsers fall back to contain)
    */
-  updateViewportPosition(targetX, targetY, smooth = true) {
-    // Apply boundary constraints to target position
-    const constrainedTarget = this.applyBoundaryConstraints(targetX, targetY)
+  getBackgroundSizeMode() {
+    const { backgroundImage } = this.viewer
+    if (!backgroundImage) return "cover"
 
-    if (smooth) {
-      // Choose smoothing factor based on input type
-      const smoothing = AppState.input.touchActive ? this.touchSmoothingFactor : this.smoothingFactor
+    return getComputedStyle(backgroundImage).backgroundSize.includes("contain") ? "contain" : "cover"
+  }
 
-      // Smooth interpolation for fluid movement
-      const currentX = AppState.viewport.x
-      const currentY = AppState.viewport.y
+  /**
+   * Drop the cached image layout (image changed or styles re-applied)
+   */
+  invalidateLayout() {
+    this.cachedLayout = null
+  }
 
-      const newX = currentX + (constrainedTarget.x - currentX) * smoothing
-      const newY = currentY + (constrainedTarget.y - currentY) * smoothing
+  /**
+   * Convert container pixel coordinates to intrinsic image coordinates
+   */
+  screenToImage(pixelX, pixelY) {
+    const layout = this.getImageLayout()
 
-      AppState.viewport.x = newX
-      AppState.viewport.y = newY
-    } else {
-      // Direct positioning
-      AppState.viewport.x = constrainedTarget.x
-      AppState.viewport.y = constrainedTarget.y
+    return {
+      x: (pixelX - layout.offsetX) / layout.scale,
+      y: (pixelY - layout.offsetY) / layout.scale,
     }
-
-    updateViewportPosition()
   }
 
   /**
-   * Move viewport by delta amounts (for keyboard navigation)
+   * Convert intrinsic image coordinates to container pixel coordinates
    */
-  moveViewportByDelta(deltaX, deltaY) {
-    const newX = AppState.viewport.x + deltaX
-    const newY = AppState.viewport.y + deltaY
+  imageToScreen(imageX, imageY) {
+    const layout = this.getImageLayout()
 
-    const constrainedPosition = this.applyBoundaryConstraints(newX, newY)
-
-    AppState.viewport.x = constrainedPosition.x
-    AppState.viewport.y = constrainedPosition.y
-
-    updateViewportPosition()
+    return {
+      x: layout.offsetX + imageX * layout.scale,
+      y: layout.offsetY + imageY * layout.scale,
+    }
+  }
+
+  /**
+   * Convert mouse/touch client coordinates to intrinsic image coordinates
+   */
+  clientToImage(clientX, clientY) {
+    const rect = this.viewer.binocularContainer.getBoundingClientRect()
+    return this.screenToImage(clientX - rect.left, clientY - rect.top)
+  }
+
+  /**
+   * Convert a normalized container position to intrinsic image coordinates
+   */
+  normalizedToImage(x, y) {
+    return this.screenToImage(x * this.state.container.width, y * this.state.container.height)
+  }
+
+  /**
+   * Convert intrinsic image coordinates to a normalized container position
+   */
+  imageToNormalized(imageX, imageY) {
+    const screen = this.imageToScreen(imageX, imageY)
+
+    return {
+      x: screen.x / this.state.container.width,
+      y: screen.y / this.state.container.height,
+    }
+  }
+
+  /**
+   * Store a normalized position and remember it in image coordinates
+   */
+  commitPosition(x, y) {
+    this.state.viewport.x = x
+    this.state.viewport.y = y
+
+    const imagePosition = this.normalizedToImage(x, y)
+    this.state.viewport.imageX = imagePosition.x
+    this.state.viewport.imageY = imagePosition.y
+
+    // Every committed view goes into a running recording
+    this.viewer.recordingManager.capture()
+  }
+
+  /**
+   * Re-derive the normalized position from image coordinates after a layout change
+   *
+   * The stored image position is left untouched, so a position clamped on a small
+   * screen comes back once there is room for it again.
+   */
+  restoreImagePosition() {
+    const { imageX, imageY } = this.state.viewport
+    if (imageX === null || imageY === null) return
+
+    const normalized = this.imageToNormalized(imageX, imageY)
+    const constrainedPosition = this.applyBoundaryConstraints(normalized.x, normalized.y)
+
+    this.state.viewport.x = constrainedPosition.x
+    this.state.viewport.y = constrainedPosition.y
+  }
+
+  /**
+   * Move the lens centre to intrinsic image coordinates
+   */
+  setImagePosition(imageX, imageY) {
+    const normalized = this.imageToNormalized(imageX, imageY)
+    const constrainedPosition = this.applyBoundaryConstraints(normalized.x, normalized.y)
+
+    this.commitPosition(constrainedPosition.x, constrainedPosition.y)
+    this.viewer.updateViewportPosition()
+  }
+
+  /**
+   * Convert mouse/touch coordinates to normalized viewport position
+   */
+  mouseToViewportPosition(clientX, clientY) {
+    // Client coordinates are relative to the window, so offset by the viewer position
+    const rect = this.viewer.binocularContainer.getBoundingClientRect()
+    const normalizedX = (clientX - rect.left) / this.state.container.width
+    const normalizedY = (clientY - rect.top) / this.state.container.height
+
+    return this.applyBoundaryConstraints(normalizedX, normalizedY)
+  }
+
+  /**
+   * Optimized boundary constraints with caching for better performance
+   *
+   * The lens is kept inside the visible part of the image (the displayed image
+   * rectangle clipped to the container). Magnification is centred on the lens, so
+   * the magnified content never reaches further than radius / zoom from the centre
+   * and stays inside the image at every zoom level.
+   */
+  applyBoundaryConstraints(x, y) {
+    const layout = this.getImageLayout()
+
+    // Cache boundary calculations if container size, image layout, radius or shape hasn't changed
+    if (
+      !this.cachedBounds ||
+      this.lastContainerSize.width !== this.state.container.width ||
+      this.lastContainerSize.height !== this.state.container.height ||
+      this.lastLayout !== layout ||
+      this.lastRadius !== this.state.viewport.radius ||
+      this.lastShape !== this.state.viewport.shape
+    ) {
+      // Calculate the lens shape extent as a percentage of container dimensions
+      const extent = this.viewer.lensShapeManager.getExtent()
+      const radiusX = extent.halfWidth / this.state.container.width
+      const radiusY = extent.halfHeight / this.state.container.height
+
+      // Dynamic boundary padding based on screen size
+      let dynamicPadding = this.boundaryPadding
+
+      // Reduce padding on smaller screens for better usable area
+      if (this.state.container.width < 768) {
+        dynamicPadding = 0.01
+      }
+
+      // Visible image area as a percentage of container dimensions
+      const visibleLeft = Math.max(0, layout.offsetX) / this.state.container.width
+      const visibleRight = Math.min(this.state.container.width, layout.offsetX + layout.width) / this.state.container.width
+      const visibleTop = Math.max(0, layout.offsetY) / this.state.container.height
+      const visibleBottom =
+        Math.min(this.state.container.height, layout.offsetY + layout.height) / this.state.container.height
+
+      // Cache the boundary values
+      this.cachedBounds = {
+        minX: visibleLeft + radiusX + dynamicPadding,
+        maxX: visibleRight - radiusX - dynamicPadding,
+        minY: visibleTop + radiusY + dynamicPadding,
+        maxY: visibleBottom - radiusY - dynamicPadding,
+      }
+
+      // Centre the lens when it is larger than the visible image area
+      if (this.cachedBounds.minX > this.cachedBounds.maxX) {
+        this.cachedBounds.minX = this.cachedBounds.maxX = (visibleLeft + visibleRight) / 2
+      }
+      if (this.cachedBounds.minY > this.cachedBounds.maxY) {
+        this.cachedBounds.minY = this.cachedBounds.maxY = (visibleTop + visibleBottom) / 2
+      }
+
+      this.lastContainerSize = {
+        width: this.state.container.width,
+        height: this.state.container.height,
+      }
+      this.lastLayout = layout
+      this.lastRadius = this.state.viewport.radius
+      this.lastShape = this.state.viewport.shape
+    }
+
+    // Use cached bounds for constraint calculations
+    const constrainedX = Math.max(this.cachedBounds.minX, Math.min(this.cachedBounds.maxX, x))
+    const constrainedY = Math.max(this.cachedBounds.minY, Math.min(this.cachedBounds.maxY, y))
+
+    return { x: constrainedX, y: constrainedY }
+  }
+
+  /**
+   * Update viewport position with smooth interpolation
+   */
+  updateViewportPosition(targetX, targetY, smooth = true) {
+    // Apply boundary constraints to target position
+    const constrainedTarget = this.applyBoundaryConstraints(targetX, targetY)
+
+    // With reduced motion the lens goes straight to the target
+    if (smooth && !this.viewer.preferenceManager.reducedMotion) {
+      // Choose smoothing factor based on input type (fingers and pens touch the screen directly)
+      const { activeSource } = this.state.input
+      const smoothing =
+        activeSource === "touch" || activeSource === "pen" ? this.touchSmoothingFactor : this.smoothingFactor
+
+      // Smooth interpolation for fluid movement
+      const currentX = this.state.viewport.x
+      const currentY = this.state.viewport.y
+
+      const newX = currentX + (constrainedTarget.x - currentX) * smoothing
+      const newY = currentY + (constrainedTarget.y - currentY) * smoothing
+
+      this.commitPosition(newX, newY)
+    } else {
+      // Direct positioning
+      this.commitPosition(constrainedTarget.x, constrainedTarget.y)
+    }
+
+    this.viewer.updateViewportPosition()
+  }
+
+  /**
+   * Show a view driven from outside the viewer (a replay or a followed presenter) the way live input does
+   *
+   * The radius is held in radiusOverride until releaseView hands the lens back.
+   */
+  showView(imageX, imageY, radius, zoom) {
+    const { viewport } = this.state
+
+    viewport.radiusOverride = radius
+    this.viewer.calculateViewportRadius()
+    viewport.zoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom))
+
+    const normalized = this.imageToNormalized(imageX, imageY)
+    this.updateViewportPosition(normalized.x, normalized.y, false)
+  }
+
+  /**
+   * Return to the user's own lens radius after showView, keeping the position
+   */
+  releaseView() {
+    this.state.viewport.radiusOverride = null
+    if (!this.state.isLoaded) return
+
+    this.viewer.calculateViewportRadius()
+    this.restoreImagePosition()
+    this.viewer.updateViewportPosition()
+  }
+
+  /**
+   * Move viewport by delta amounts (for keyboard navigation)
+   */
+  moveViewportByDelta(deltaX, deltaY) {
+    const newX = this.state.viewport.x + deltaX
+    const newY = this.state.viewport.y + deltaY
+
+    const constrainedPosition = this.applyBoundaryConstraints(newX, newY)
+
+    this.commitPosition(constrainedPosition.x, constrainedPosition.y)
+
+    this.viewer.updateViewportPosition()
+  }
+
+  /**
+   * Set the magnification inside the lens, clamped to the supported range
+   */
+  setZoom(zoom) {
+    if (!Number.isFinite(zoom)) return
+
+    const clampedZoom = Math.max(this.minZoom, Math.min(this.maxZoom, zoom))
+    if (clampedZoom === this.state.viewport.zoom) return
+
+    this.state.viewport.zoom = clampedZoom
+
+    // Re-apply constraints so the lens stays valid after the change
+    const constrainedPosition = this.applyBoundaryConstraints(this.state.viewport.x, this.state.viewport.y)
+    this.commitPosition(constrainedPosition.x, constrainedPosition.y)
+
+    this.viewer.updateViewportPosition()
+  }
+
+  /**
+   * Multiply the current magnification by a factor (for wheel and keyboard zoom)
+   */
+  zoomBy(factor) {
+    this.setZoom(this.state.viewport.zoom * factor)
+  }
+
+  /**
+   * Animate the lens to an image position, radius and zoom with easing
+   *
+   * Missing target values keep their current value. onComplete runs when the
+   * animation finishes, but not when it is cancelled.
+   */
+  animateTo(target, duration, onComplete) {
+    this.cancelAnimation()
+    this.viewer.momentumManager.stop()
+
+    // With reduced motion camera moves jump straight to the target
+    if (this.viewer.preferenceManager.reducedMotion) duration = 0
+
+    const { viewport } = this.state
+    const start = { imageX: viewport.imageX, imageY: viewport.imageY, radius: viewport.radius, zoom: viewport.zoom }
+    const end = {
+      imageX: target.imageX ?? start.imageX,
+      imageY: target.imageY ?? start.imageY,
+      radius: target.radius ?? start.radius,
+      zoom: Math.max(this.minZoom, Math.min(this.maxZoom, target.zoom ?? start.zoom)),
+    }
+    const startTime = performance.now()
+
+    const step = (now) => {
+      const progress = duration > 0 ? Math.min(1, (now - startTime) / duration) : 1
+      const eased = this.easeInOutCubic(progress)
+      const interpolate = (name) => start[name] + (end[name] - start[name]) * eased
+
+      viewport.radius = interpolate("radius")
+      viewport.zoom = interpolate("zoom")
+
+      const normalized = this.imageToNormalized(interpolate("imageX"), interpolate("imageY"))
+      const constrainedPosition = this.applyBoundaryConstraints(normalized.x, normalized.y)
+      this.commitPosition(constrainedPosition.x, constrainedPosition.y)
+
+      this.viewer.updateViewportPosition()
+
+      if (progress < 1) {
+        this.animationId = requestAnimationFrame(step)
+      } else {
+        this.animationId = null
+        if (onComplete) onComplete()
+      }
+    }
+
+    // Jump straight to the target when animation frames are unavailable
+    if (!AppState.browserSupport.requestAnimationFrame) {
+      step(startTime + duration)
+      return
+    }
+
+    this.animationId = requestAnimationFrame(step)
+  }
+
+  /**
+   * Stop a running animateTo without completing it
+   */
+  cancelAnimation() {
+    if (this.animationId) {
+      cancelAnimationFrame(this.animationId)
+      this.animationId = null
+    }
+  }
+
+  /**
+   * Cubic ease-in-out curve for lens animations
+   */
+  easeInOutCubic(t) {
+    return t < 0.5 ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2
   }
 
   /**
@@ -703,338 +1334,8047 @@ class ViewportController {
    */
   getKeyboardMoveSpeed() {
     // Adjust keyboard movement speed based on screen size
-    if (AppState.container.width < 480) {
+    if (this.state.container.width < 480) {
       return 0.003 // Slower on small screens for precision
-    } else if (AppState.container.width < 768) {
+    } else if (this.state.container.width < 768) {
       return 0.0025
     } else {
       return 0.002 // Default speed for larger screens
     }
   }
+
+  /**
+   * Speed multiplier for held movement keys: accelerates over time, Shift moves fast, Alt moves precisely
+   */
+  getKeyboardSpeedMultiplier(heldTime, { shiftKey, altKey }) {
+    if (altKey) return this.precisionMoveMultiplier
+
+    const progress = Math.min(1, Math.max(0, heldTime - this.keyboardAccelerationDelay) / this.keyboardAccelerationTime)
+    const acceleration = 1 + (this.keyboardMaxAcceleration - 1) * progress
+
+    return shiftKey ? acceleration * this.fastMoveMultiplier : acceleration
+  }
 }
 
 /**
- * ResponsiveManager class to handle device detection and responsive behavior
+ * SVG path helpers for lens shapes (pixel coordinates, clockwise so subpaths union)
  */
-class ResponsiveManager {
-  constructor() {
-    this.deviceType = this.detectDeviceType()
-    this.isTouch = this.detectTouchCapability()
-    this.orientation = this.getOrientation()
+function ellipsePath(cx, cy, rx, ry) {
+  return `M ${cx - rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx + rx} ${cy} A ${rx} ${ry} 0 1 1 ${cx - rx} ${cy} Z`
+}
+
+function rectPath(left, top, width, height) {
+  return `M ${left} ${top} H ${left + width} V ${top + height} H ${left} Z`
+}
+
+function roundedRectPath(left, top, width, height, cornerRadius) {
+  const r = Math.min(cornerRadius, width / 2, height / 2)
+  const right = left + width
+  const bottom = top + height
+
+  return [
+    `M ${left + r} ${top}`,
+    `H ${right - r} A ${r} ${r} 0 0 1 ${right} ${top + r}`,
+    `V ${bottom - r} A ${r} ${r} 0 0 1 ${right - r} ${bottom}`,
+    `H ${left + r} A ${r} ${r} 0 0 1 ${left} ${bottom - r}`,
+    `V ${top + r} A ${r} ${r} 0 0 1 ${left + r} ${top}`,
+    "Z",
+  ].join(" ")
+}
+
+/**
+ * Lens shape registry
+ *
+ * Each shape reports its extent (half width/height in pixels) for boundary
+ * constraints and an SVG path for clipping. Circular shapes keep using the
+ * radial-gradient mask; other shapes need clip-path: path() support.
+ */
+const LensShapes = {
+  circle: {
+    label: "Single circle",
+    circular: true,
+    getExtent(radius) {
+      return { halfWidth: radius, halfHeight: radius }
+    },
+    getPath(cx, cy, radius) {
+      return ellipsePath(cx, cy, radius, radius)
+    },
+  },
+
+  binocular: {
+    label: "Classic binocular",
+    circular: false,
+    getExtent(radius) {
+      return { halfWidth: radius * 1.5, halfHeight: radius * 0.8 }
+    },
+    getPath(cx, cy, radius) {
+      const eyepieceRadius = radius * 0.8
+      const eyepieceOffset = radius * 0.7
+      const bridgeHeight = radius * 0.7
+
+      // Two overlapping eyepieces joined by a bridge across the centre
+      return [
+        ellipsePath(cx - eyepieceOffset, cy, eyepieceRadius, eyepieceRadius),
+        ellipsePath(cx + eyepieceOffset, cy, eyepieceRadius, eyepieceRadius),
+        rectPath(cx - eyepieceOffset, cy - bridgeHeight / 2, eyepieceOffset * 2, bridgeHeight),
+      ].join(" ")
+    },
+  },
+
+  ellipse: {
+    label: "Ellipse",
+    circular: false,
+    getExtent(radius) {
+      return { halfWidth: radius * 1.4, halfHeight: radius * 0.8 }
+    },
+    getPath(cx, cy, radius) {
+      return ellipsePath(cx, cy, radius * 1.4, radius * 0.8)
+    },
+  },
+
+  "rounded-rect": {
+    label: "Rounded rectangle",
+    circular: false,
+    getExtent(radius) {
+      return { halfWidth: radius * 1.3, halfHeight: radius * 0.85 }
+    },
+    getPath(cx, cy, radius) {
+      const halfWidth = radius * 1.3
+      const halfHeight = radius * 0.85
+      return roundedRectPath(cx - halfWidth, cy - halfHeight, halfWidth * 2, halfHeight * 2, radius * 0.25)
+    },
+  },
+
+  telescope: {
+    label: "Telescope with reticle",
+    circular: true,
+    getExtent(radius) {
+      return { halfWidth: radius, halfHeight: radius }
+    },
+    getPath(cx, cy, radius) {
+      return ellipsePath(cx, cy, radius, radius)
+    },
+    getReticlePath(cx, cy, radius) {
+      const gap = radius * 0.08
+      const tick = radius * 0.06
+
+      // Crosshair with a gap at the centre, plus ticks at half radius
+      return [
+        `M ${cx - radius} ${cy} H ${cx - gap} M ${cx + gap} ${cy} H ${cx + radius}`,
+        `M ${cx} ${cy - radius} V ${cy - gap} M ${cx} ${cy + gap} V ${cy + radius}`,
+        `M ${cx - radius / 2} ${cy - tick} V ${cy + tick} M ${cx + radius / 2} ${cy - tick} V ${cy + tick}`,
+        `M ${cx - tick} ${cy - radius / 2} H ${cx + tick} M ${cx - tick} ${cy + radius / 2} H ${cx + tick}`,
+      ].join(" ")
+    },
+  },
+}
+
+/**
+ * LensShapeManager class to select and render the lens shape
+ */
+class LensShapeManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.shapes = LensShapes
+    this.defaultShape = "circle"
   }
 
   /**
-   * Detect device type based on screen dimensions
+   * Get the active shape definition
    */
-  detectDeviceType() {
-    const width = AppState.container.width
-    const height = AppState.container.height
-    const minDimension = Math.min(width, height)
+  getShape() {
+    return this.shapes[this.state.viewport.shape] || this.shapes[this.defaultShape]
+  }
 
-    if (minDimension < 480) {
-      return "mobile-small"
-    } else if (minDimension < 768) {
-      return "mobile-large"
-    } else if (minDimension < 1024) {
-      return "tablet"
-    } else {
-      return "desktop"
+  /**
+   * Get the active shape extent in pixels for the current radius
+   */
+  getExtent() {
+    return this.getShape().getExtent(this.state.viewport.radius)
+  }
+
+  /**
+   * Get the list of available shape names
+   */
+  getShapeNames() {
+    return Object.keys(this.shapes)
+  }
+
+  /**
+   * Select a lens shape by name
+   */
+  setShape(name) {
+    const shape = this.shapes[name]
+
+    if (!shape) {
+      console.warn(`Unknown lens shape "${name}", available shapes:`, this.getShapeNames())
+      return false
+    }
+
+    if (!shape.circular && !AppState.browserSupport.clipPathShapes) {
+      console.warn(`Lens shape "${name}" needs clip-path: path() support, keeping "${this.state.viewport.shape}"`)
+      return false
+    }
+
+    this.state.viewport.shape = name
+
+    const { binocularContainer } = this.viewer
+    if (binocularContainer) {
+      binocularContainer.dataset.lensShape = name
+      binocularContainer.classList.toggle("shaped-lens", !shape.circular)
+    }
+
+    // Re-apply constraints since the shape extent may have changed
+    if (this.state.isLoaded) {
+      const { viewportController } = this.viewer
+      const constrainedPosition = viewportController.applyBoundaryConstraints(this.state.viewport.x, this.state.viewport.y)
+      viewportController.commitPosition(constrainedPosition.x, constrainedPosition.y)
+    }
+
+    this.viewer.updateViewportPosition()
+    console.log("Lens shape set to:", shape.label)
+    return true
+  }
+
+  /**
+   * Switch to the next available shape
+   */
+  cycleShape() {
+    const names = this.getShapeNames()
+    const startIndex = names.indexOf(this.state.viewport.shape)
+
+    for (let i = 1; i <= names.length; i++) {
+      const nextName = names[(startIndex + i) % names.length]
+      if (this.shapes[nextName].circular || AppState.browserSupport.clipPathShapes) {
+        this.setShape(nextName)
+        return
+      }
+    }
+  }
+
+  /**
+   * Apply the active shape clip and decorations at the given pixel position
+   */
+  applyShape(pixelX, pixelY) {
+    const shape = this.getShape()
+    const radius = this.state.viewport.radius
+
+    const { viewportLens, lensReticle, lensRim } = this.viewer
+
+    // Circular shapes use the CSS circle clip driven by custom properties
+    if (viewportLens) {
+      viewportLens.style.clipPath = shape.circular ? "" : `path("${shape.getPath(pixelX, pixelY, radius)}")`
+    }
+
+    if (lensReticle) {
+      lensReticle.setAttribute("d", shape.getReticlePath ? shape.getReticlePath(pixelX, pixelY, radius) : "")
+    }
+
+    // Outline shown in high-contrast modes (styles.css)
+    if (lensRim) {
+      lensRim.setAttribute("d", shape.getPath(pixelX, pixelY, radius))
     }
   }
+}
+
+/**
+ * Surround mode registry
+ *
+ * Controls how the image outside the lens is shown: dim is the opacity of the
+ * dark mask, filter is applied to the background layer (the lens layer on top
+ * stays sharp) and feather is the width of the soft lens edge in pixels.
+ */
+const SurroundModes = {
+  dark: {
+    label: "Dark",
+    dim: 0.95,
+    filter: "",
+    feather: 0,
+  },
+  dim: {
+    label: "Dimmed",
+    dim: 0.6,
+    filter: "",
+    feather: 16,
+  },
+  blur: {
+    label: "Blurred",
+    dim: 0.3,
+    filter: "blur(6px)",
+    feather: 24,
+  },
+  greyscale: {
+    label: "Greyscale",
+    dim: 0.35,
+    filter: "grayscale(1)",
+    feather: 16,
+  },
+  outline: {
+    label: "Outline",
+    dim: 0.2,
+    filter: "url(#binocular-surround-outline)",
+    feather: 16,
+  },
+}
+
+/**
+ * Add the SVG edge-detection filter used by the outline surround mode (once per page)
+ */
+function ensureOutlineFilter() {
+  if (document.getElementById("binocular-surround-outline")) return
+
+  const container = document.createElement("div")
+  container.innerHTML = `
+    <svg width="0" height="0" style="position: absolute" aria-hidden="true" focusable="false">
+      <filter id="binocular-surround-outline" color-interpolation-filters="sRGB">
+        <feGaussianBlur stdDeviation="1.5" />
+        <feColorMatrix type="matrix" values="0.33 0.33 0.33 0 0  0.33 0.33 0.33 0 0  0.33 0.33 0.33 0 0  0 0 0 1 0" />
+        <feConvolveMatrix order="3" kernelMatrix="-1 -1 -1 -1 8 -1 -1 -1 -1" preserveAlpha="true" />
+        <feComponentTransfer>
+          <feFuncR type="linear" slope="4" />
+          <feFuncG type="linear" slope="4" />
+          <feFuncB type="linear" slope="4" />
+        </feComponentTransfer>
+      </filter>
+    </svg>
+  `
+  document.body.append(container.firstElementChild)
+}
+
+/**
+ * SurroundManager class to control how the image outside the lens is shown
+ */
+class SurroundManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.modes = SurroundModes
+    this.defaultMode = "dark"
+    this.mode = this.defaultMode
+    this.dim = null // Overrides the mode's own dim when set (surround-dim attribute)
+  }
+
+  /**
+   * Get the list of available mode names
+   */
+  getModeNames() {
+    return Object.keys(this.modes)
+  }
+
+  /**
+   * Select a surround mode by name
+   */
+  setMode(name) {
+    if (!this.modes[name]) {
+      console.warn(`Unknown surround mode "${name}", available modes:`, this.getModeNames())
+      return false
+    }
+
+    this.mode = browserCompatibility.selectSurroundMode(name)
+    this.apply()
+    console.log("Surround mode set to:", this.modes[this.mode].label)
+    return true
+  }
+
+  /**
+   * Set how dark the area outside the lens is (0-1), or null for the mode default
+   */
+  setDim(dim) {
+    this.dim = Number.isFinite(dim) ? Math.min(1, Math.max(0, dim)) : null
+    this.apply()
+  }
+
+  /**
+   * Switch to the next mode this browser supports
+   */
+  cycleMode() {
+    const names = this.getModeNames()
+    const startIndex = names.indexOf(this.mode)
+
+    for (let i = 1; i <= names.length; i++) {
+      const nextName = names[(startIndex + i) % names.length]
+      if (!this.modes[nextName].filter || browserCompatibility.supportsSurroundFilters()) {
+        this.setMode(nextName)
+        return
+      }
+    }
+  }
+
+  /**
+   * Write the mode to the container, where styles.css picks it up
+   */
+  apply() {
+    const { binocularContainer } = this.viewer
+    if (!binocularContainer) return
+
+    const mode = this.modes[this.mode]
+    if (this.mode === "outline") {
+      ensureOutlineFilter()
+    }
+
+    binocularContainer.dataset.surround = this.mode
+    binocularContainer.classList.toggle("soft-lens-edge", mode.feather > 0)
+
+    const style = binocularContainer.style
+    style.setProperty("--surround-dim", this.dim === null ? mode.dim : this.dim)
+    style.setProperty("--surround-filter", mode.filter || "none")
+    style.setProperty("--surround-feather", `${mode.feather}px`)
+  }
+}
+
+/**
+ * ResponsiveManager class to handle device detection and responsive behavior
+ */
+class ResponsiveManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.deviceType = this.detectDeviceType()
+    this.isTouch = this.detectTouchCapability()
+    this.orientation = this.getOrientation()
+
+    // Lens radius picked by the user (pinch or gamepad), kept within getRadiusLimits()
+    this.userRadius = null
+
+    // Single-finger touch modes: "direct" (lens under the finger), "offset" (lens above
+    // the finger) or "trackpad" (drags move the lens relative to where it is)
+    this.touchModes = ["direct", "offset", "trackpad"]
+    this.touchModeOverride = null // touch-mode attribute; null picks a mode for the device
+    this.touchOffset = null // Offset mode distance in pixels (touch-offset attribute); null follows the radius
+  }
+
+  /**
+   * Detect device type based on screen dimensions
+   */
+  detectDeviceType() {
+    const width = this.state.container.width
+    const height = this.state.container.height
+    const minDimension = Math.min(width, height)
+
+    if (minDimension < 480) {
+      return "mobile-small"
+    } else if (minDimension < 768) {
+      return "mobile-large"
+    } else if (minDimension < 1024) {
+      return "tablet"
+    } else {
+      return "desktop"
+    }
+  }
+
+  /**
+   * Detect touch capability
+   */
+  detectTouchCapability() {
+    return "ontouchstart" in window || navigator.maxTouchPoints > 0
+  }
+
+  /**
+   * Get current orientation
+   */
+  getOrientation() {
+    return this.state.container.height > this.state.container.width ? "portrait" : "landscape"
+  }
+
+  /**
+   * Update responsive state on resize/orientation change
+   */
+  updateResponsiveState() {
+    this.deviceType = this.detectDeviceType()
+    this.orientation = this.getOrientation()
+
+    console.log("Responsive state updated:", {
+      deviceType: this.deviceType,
+      orientation: this.orientation,
+      isTouch: this.isTouch,
+      dimensions: `${this.state.container.width}x${this.state.container.height}`,
+    })
+  }
+
+  /**
+   * Get optimal viewport radius for current device
+   */
+  getOptimalViewportRadius() {
+    const { width, height } = this.state.container
+    const minDimension = Math.min(width, height)
+
+    // A size picked by the user replaces the device default
+    if (this.userRadius !== null) {
+      const { min, max } = this.getRadiusLimits()
+      return Math.max(min, Math.min(max, this.userRadius))
+    }
+
+    switch (this.deviceType) {
+      case "mobile-small":
+        return Math.min(80, minDimension * 0.15)
+      case "mobile-large":
+        return Math.min(100, minDimension * 0.18)
+      case "tablet":
+        return Math.min(140, minDimension * 0.2)
+      case "desktop":
+        return Math.min(180, minDimension * 0.15)
+      default:
+        return Math.min(150, minDimension * 0.18)
+    }
+  }
+
+  /**
+   * Get the longest side of the minimap for the current device, in pixels
+   */
+  getMinimapSize() {
+    switch (this.deviceType) {
+      case "mobile-small":
+        return 96
+      case "mobile-large":
+        return 120
+      case "tablet":
+        return 160
+      case "desktop":
+        return 200
+      default:
+        return 160
+    }
+  }
+
+  /**
+   * Smallest and largest lens radius the user can pick, in pixels
+   */
+  getRadiusLimits() {
+    const { width, height } = this.state.container
+    const min = 40
+    return { min, max: Math.max(min, Math.min(width, height) * 0.45) }
+  }
+
+  /**
+   * Remember a lens radius picked by the user (null returns to the device default)
+   */
+  setUserRadius(radius) {
+    if (radius === null) {
+      this.userRadius = null
+      return
+    }
+
+    const { min, max } = this.getRadiusLimits()
+    this.userRadius = Math.max(min, Math.min(max, radius))
+  }
+
+  /**
+   * Get the active touch mode: the configured one, or "offset" on phones where a finger hides a small lens
+   */
+  getTouchMode() {
+    if (this.touchModeOverride) return this.touchModeOverride
+    return this.deviceType.startsWith("mobile") ? "offset" : "direct"
+  }
+
+  /**
+   * Choose a touch mode (null or "auto" returns to the automatic choice)
+   */
+  setTouchMode(mode) {
+    if (mode === null || mode === "auto") {
+      this.touchModeOverride = null
+      return true
+    }
+
+    if (!this.touchModes.includes(mode)) {
+      console.warn(`Unknown touch mode "${mode}", available modes:`, this.touchModes)
+      return false
+    }
+
+    this.touchModeOverride = mode
+    return true
+  }
+
+  /**
+   * Distance between the finger and the lens centre in offset mode
+   *
+   * The offset shrinks near the bottom edge so the lens can still reach it.
+   */
+  getTouchOffset(fingerY) {
+    const offset = this.touchOffset !== null ? this.touchOffset : this.state.viewport.radius + 20
+    return Math.max(0, Math.min(offset, this.state.container.height - fingerY))
+  }
+
+  /**
+   * Check if device should use touch-optimized interactions
+   */
+  shouldUseTouchOptimizations() {
+    return this.isTouch && (this.deviceType.includes("mobile") || this.deviceType === "tablet")
+  }
+}
+
+/**
+ * PreferenceManager class to follow the user's motion and contrast settings
+ *
+ * prefers-reduced-motion turns off lens smoothing, flings, crossfades and
+ * animated camera moves (CSS transitions are handled in styles.css).
+ * prefers-contrast: more and forced-colors: active add the high-contrast class,
+ * which shows a lens rim that stays visible. Changes to the settings apply live.
+ */
+class PreferenceManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.queries = {
+      reducedMotion: "(prefers-reduced-motion: reduce)",
+      moreContrast: "(prefers-contrast: more)",
+      forcedColors: "(forced-colors: active)",
+    }
+
+    this.reducedMotion = false
+    this.highContrast = false
+    this.forcedColors = false
+
+    // [mediaQueryList, listener] pairs added with the deprecated addListener, removed in detach
+    this.legacyListeners = []
+  }
+
+  /**
+   * Read the current settings and follow changes to them
+   */
+  attach() {
+    if (typeof window.matchMedia !== "function") {
+      console.warn("matchMedia is not supported, motion and contrast preferences are ignored")
+      return
+    }
+
+    for (const query of Object.values(this.queries)) {
+      const mediaQueryList = window.matchMedia(query)
+
+      // Older Safari versions only support the deprecated addListener
+      if (typeof mediaQueryList.addEventListener === "function") {
+        this.viewer.listen(mediaQueryList, "change", this.apply.bind(this))
+      } else if (typeof mediaQueryList.addListener === "function") {
+        const listener = safeEventHandler(() => this.apply(), "change")
+        mediaQueryList.addListener(listener)
+        this.legacyListeners.push([mediaQueryList, listener])
+      }
+    }
+
+    this.apply()
+  }
+
+  /**
+   * Stop following changes added with addListener (the others go with the viewer's listeners)
+   */
+  detach() {
+    for (const [mediaQueryList, listener] of this.legacyListeners) {
+      mediaQueryList.removeListener(listener)
+    }
+    this.legacyListeners = []
+  }
+
+  /**
+   * Check whether a media query matches
+   */
+  matches(query) {
+    return window.matchMedia(query).matches
+  }
+
+  /**
+   * Apply the current settings to the viewer
+   */
+  apply() {
+    this.reducedMotion = this.matches(this.queries.reducedMotion)
+    this.forcedColors = this.matches(this.queries.forcedColors)
+    this.highContrast = this.forcedColors || this.matches(this.queries.moreContrast)
+
+    this.viewer.classList.toggle("reduced-motion", this.reducedMotion)
+    this.viewer.classList.toggle("high-contrast", this.highContrast)
+
+    // Stop motion already under way when the setting is switched on
+    if (this.reducedMotion) {
+      this.viewer.momentumManager.stop()
+    }
+
+    console.log("User preferences:", {
+      reducedMotion: this.reducedMotion,
+      highContrast: this.highContrast,
+      forcedColors: this.forcedColors,
+    })
+  }
+}
+
+/**
+ * TouchGestureManager class for multi-touch gestures
+ *
+ * Two fingers pan the lens with their midpoint and pinch to resize it (or to
+ * change the magnification in "zoom" pinch mode). A quick two-finger tap switches
+ * the pinch mode and a double tap resets the lens size and magnification.
+ * Single-finger dragging stays in the viewer's own pointer handlers. Touches
+ * are the pressed touch pointers, as { clientX, clientY } objects.
+ */
+class TouchGestureManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.pinchModes = ["radius", "zoom"]
+    this.pinchMode = "radius"
+
+    // Tap recognition
+    this.tapMaxDuration = 250 // Longest touch that still counts as a tap (ms)
+    this.tapSlop = 10 // Finger movement allowed during a tap (px)
+    this.doubleTapDelay = 300 // Longest gap between the taps of a double tap (ms)
+    this.doubleTapDistance = 30 // Largest distance between the taps of a double tap (px)
+
+    this.gesture = null // Active two-finger gesture
+    this.tap = null // Current single-finger touch, while it may still be a tap
+    this.lastTap = null // Last completed single tap, for double-tap detection
+  }
+
+  /**
+   * Select what pinching changes: "radius" (lens size) or "zoom" (magnification)
+   */
+  setPinchMode(mode) {
+    if (!this.pinchModes.includes(mode)) {
+      console.warn(`Unknown pinch mode "${mode}", available modes:`, this.pinchModes)
+      return false
+    }
+
+    this.pinchMode = mode
+    console.log("Pinch mode set to:", mode)
+    return true
+  }
+
+  /**
+   * Switch between resizing and magnifying, and tell the user
+   */
+  togglePinchMode() {
+    this.setPinchMode(this.pinchMode === "radius" ? "zoom" : "radius")
+    this.viewer.showTouchHint(this.pinchMode === "radius" ? "Pinch to resize the lens" : "Pinch to magnify")
+  }
+
+  /**
+   * Track a new touch, returning true when the touch belongs to a multi-touch gesture
+   */
+  handlePointerDown(touches) {
+    if (touches.length >= 2) {
+      this.tap = null
+      this.startGesture(touches)
+      return true
+    }
+
+    // Once two fingers were down, the remaining finger does not move the lens
+    if (this.gesture) return true
+
+    const touch = touches[0]
+    this.tap = touch ? { x: touch.clientX, y: touch.clientY, time: performance.now() } : null
+    return false
+  }
+
+  /**
+   * Update the gesture, returning true when the viewer should not move the lens itself
+   */
+  handlePointerMove(touches) {
+    if (this.tap && touches[0]) {
+      const touch = touches[0]
+      if (Math.hypot(touch.clientX - this.tap.x, touch.clientY - this.tap.y) > this.tapSlop) {
+        this.tap = null
+      }
+    }
+
+    if (!this.gesture) return false
+
+    if (touches.length >= 2) {
+      this.updateGesture(touches)
+    }
+    return true
+  }
+
+  /**
+   * Finish taps and gestures as fingers are lifted (touches are the fingers still down)
+   */
+  handlePointerUp(touches) {
+    const now = performance.now()
+
+    if (this.gesture) {
+      // Restart from the remaining fingers so the lens does not jump
+      if (touches.length >= 2) {
+        this.startGesture(touches)
+        return
+      }
+
+      if (touches.length === 0) {
+        const gesture = this.gesture
+        this.gesture = null
+
+        if (!gesture.moved && now - gesture.startTime < this.tapMaxDuration) {
+          this.togglePinchMode()
+        }
+      }
+      return
+    }
+
+    if (!this.tap || touches.length > 0) return
+
+    const tap = this.tap
+    this.tap = null
+    if (now - tap.time > this.tapMaxDuration) return
+
+    const isDoubleTap =
+      this.lastTap &&
+      tap.time - this.lastTap.time < this.doubleTapDelay &&
+      Math.hypot(tap.x - this.lastTap.x, tap.y - this.lastTap.y) < this.doubleTapDistance
+
+    if (isDoubleTap) {
+      this.lastTap = null
+      this.resetLens()
+    } else {
+      this.lastTap = tap
+    }
+  }
+
+  /**
+   * Record the starting point of a two-finger gesture
+   */
+  startGesture(touches) {
+    const pair = this.getTouchPair(touches)
+    const { viewport, container } = this.state
+
+    this.gesture = {
+      startTime: this.gesture ? this.gesture.startTime : performance.now(),
+      moved: this.gesture ? this.gesture.moved : false,
+      distance: pair.distance,
+      midpointX: pair.midpointX,
+      midpointY: pair.midpointY,
+      lensX: viewport.x * container.width,
+      lensY: viewport.y * container.height,
+      radius: viewport.radius,
+      zoom: viewport.zoom,
+    }
+  }
+
+  /**
+   * Pan the lens with the midpoint and pinch with the finger distance
+   */
+  updateGesture(touches) {
+    const gesture = this.gesture
+    const pair = this.getTouchPair(touches)
+    const panX = pair.midpointX - gesture.midpointX
+    const panY = pair.midpointY - gesture.midpointY
+    const scale = gesture.distance > 0 ? pair.distance / gesture.distance : 1
+
+    if (Math.hypot(panX, panY) > this.tapSlop || Math.abs(pair.distance - gesture.distance) > this.tapSlop) {
+      gesture.moved = true
+    }
+
+    if (this.pinchMode === "zoom") {
+      this.viewer.viewportController.setZoom(gesture.zoom * scale)
+    } else {
+      this.viewer.setLensRadius(gesture.radius * scale)
+    }
+
+    const { viewportController } = this.viewer
+    const { width, height } = this.state.container
+    const position = viewportController.applyBoundaryConstraints(
+      (gesture.lensX + panX) / width,
+      (gesture.lensY + panY) / height
+    )
+    viewportController.updateViewportPosition(position.x, position.y, false)
+  }
+
+  /**
+   * Distance between the first two touches and their midpoint
+   */
+  getTouchPair(touches) {
+    const [first, second] = touches
+
+    return {
+      distance: Math.hypot(second.clientX - first.clientX, second.clientY - first.clientY),
+      midpointX: (first.clientX + second.clientX) / 2,
+      midpointY: (first.clientY + second.clientY) / 2,
+    }
+  }
+
+  /**
+   * Return to the device default lens size and no magnification
+   */
+  resetLens() {
+    this.viewer.setLensRadius(null)
+    this.viewer.viewportController.setZoom(1)
+    this.viewer.deepLinkManager.commit()
+    console.log("Lens size and magnification reset")
+  }
+}
+
+/**
+ * PenManager class for stylus pressure and tilt
+ *
+ * While the pen touches the screen, pressing harder grows the lens (or the
+ * magnification, or nothing, depending on the pressure mode) and the previous
+ * size returns when the pen lifts. Tilting the pen moves the lens away from the
+ * hand holding it, so the pen does not hide the magnified view.
+ */
+class PenManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.pressureModes = ["radius", "zoom", "none"]
+    this.pressureMode = "radius"
+    this.pressureRange = 2 // Scale at full pressure (its inverse at the lightest touch)
+    this.tiltOffset = true // Move the lens away from a tilted pen
+
+    this.stroke = null // Lens size and magnification when the pen touched down
+  }
+
+  /**
+   * Select what pen pressure changes: "radius", "zoom" or "none"
+   */
+  setPressureMode(mode) {
+    if (!this.pressureModes.includes(mode)) {
+      console.warn(`Unknown pen pressure mode "${mode}", available modes:`, this.pressureModes)
+      return false
+    }
+
+    this.end()
+    this.pressureMode = mode
+    return true
+  }
+
+  /**
+   * Remember the lens size and magnification as the pen touches down
+   */
+  begin(event) {
+    this.end()
+
+    this.stroke = {
+      mode: this.pressureMode,
+      radius: this.state.viewport.radius,
+      userRadius: this.viewer.responsiveManager.userRadius,
+      zoom: this.state.viewport.zoom,
+    }
+    this.applyPressure(event.pressure)
+  }
+
+  /**
+   * Scale the lens radius or magnification by the pen pressure (0-1)
+   */
+  applyPressure(pressure) {
+    const { stroke } = this
+    if (!stroke || stroke.mode === "none" || !Number.isFinite(pressure)) return
+
+    // Half pressure, which pens without a pressure sensor report, keeps the size
+    const scale = Math.pow(this.pressureRange, pressure * 2 - 1)
+
+    if (stroke.mode === "zoom") {
+      this.viewer.viewportController.setZoom(stroke.zoom * scale)
+    } else {
+      this.viewer.setLensRadius(stroke.radius * scale)
+    }
+  }
+
+  /**
+   * Restore the lens size and magnification from before the pen touched down
+   */
+  end() {
+    const { stroke } = this
+    if (!stroke) return
+    this.stroke = null
+
+    if (stroke.mode === "zoom") {
+      this.viewer.viewportController.setZoom(stroke.zoom)
+    } else if (stroke.mode === "radius") {
+      this.viewer.setLensRadius(stroke.userRadius)
+    }
+  }
+
+  /**
+   * Screen offset in pixels that keeps the lens clear of a tilted pen
+   */
+  getTiltOffset(event) {
+    // tiltX/tiltY are in degrees, positive when the pen leans right or towards the user
+    const tiltX = event.tiltX || 0
+    const tiltY = event.tiltY || 0
+    if (!this.tiltOffset || (tiltX === 0 && tiltY === 0)) return { x: 0, y: 0 }
+
+    const reach = this.state.viewport.radius
+    return {
+      x: -Math.sin((tiltX * Math.PI) / 180) * reach,
+      y: -Math.sin((tiltY * Math.PI) / 180) * reach,
+    }
+  }
+}
+
+/**
+ * MomentumManager class to keep the lens gliding after a flick
+ *
+ * Finger, pen (or mouse drag) positions are sampled while moving; on release the
+ * recent velocity carries the lens on with exponential friction. At the edges
+ * of the image the lens bounces back or settles, depending on the mode.
+ */
+class MomentumManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.modes = ["bounce", "settle", "none"]
+    this.mode = "bounce"
+    this.mouseEnabled = false // Mouse drag-and-release flings too (mouse-momentum attribute)
+
+    // Tuning
+    this.friction = 0.004 // Velocity decay per millisecond (exponential)
+    this.sampleWindow = 100 // Movement used to estimate the release velocity (ms)
+    this.maxReleaseDelay = 50 // Holding still this long before lifting cancels the fling (ms)
+    this.minFlingSpeed = 0.3 // Slowest release that starts a glide (px/ms)
+    this.stopSpeed = 0.02 // Glide ends below this speed (px/ms)
+    this.restitution = 0.4 // Share of the speed kept when bouncing off an edge
+
+    this.samples = []
+    this.velocity = { x: 0, y: 0 }
+    this.animationId = null
+    this.lastFrameTime = 0
+  }
+
+  /**
+   * Select the edge behaviour: "bounce", "settle" or "none" (no momentum)
+   */
+  setMode(mode) {
+    if (!this.modes.includes(mode)) {
+      console.warn(`Unknown momentum mode "${mode}", available modes:`, this.modes)
+      return false
+    }
+
+    this.mode = mode
+    if (mode === "none") this.stop()
+    return true
+  }
+
+  /**
+   * Check whether the lens is still gliding
+   */
+  isGliding() {
+    return this.animationId !== null
+  }
+
+  /**
+   * Record a pointer position while the finger or mouse is moving
+   */
+  track(clientX, clientY) {
+    const now = performance.now()
+    this.samples.push({ x: clientX, y: clientY, time: now })
+
+    // Keep the newest samples inside the window (and at least two)
+    while (this.samples.length > 2 && now - this.samples[0].time > this.sampleWindow) {
+      this.samples.shift()
+    }
+  }
+
+  /**
+   * Forget tracked movement (a new touch, or a pinch taking over)
+   */
+  reset() {
+    this.samples = []
+  }
+
+  /**
+   * Check whether a drag with this pointer type can fling the lens (mouse drags need mouse-momentum)
+   */
+  appliesTo(pointerType) {
+    return pointerType !== "mouse" || this.mouseEnabled
+  }
+
+  /**
+   * Start gliding if the pointer was released while moving fast enough, returning true if it was
+   */
+  release() {
+    const velocity = this.getReleaseVelocity()
+    this.reset()
+
+    if (this.mode === "none" || !velocity || !AppState.browserSupport.requestAnimationFrame) return false
+    if (this.viewer.preferenceManager.reducedMotion) return false
+    if (Math.hypot(velocity.x, velocity.y) < this.minFlingSpeed) return false
+
+    this.start(velocity)
+    return true
+  }
+
+  /**
+   * Average velocity over the tracked samples in px/ms, or null without recent movement
+   */
+  getReleaseVelocity() {
+    if (this.samples.length < 2) return null
+
+    const first = this.samples[0]
+    const last = this.samples[this.samples.length - 1]
+    const duration = last.time - first.time
+
+    if (duration <= 0 || performance.now() - last.time > this.maxReleaseDelay) return null
+
+    return { x: (last.x - first.x) / duration, y: (last.y - first.y) / duration }
+  }
+
+  /**
+   * Glide from the current lens position with a velocity in px/ms
+   */
+  start(velocity) {
+    this.stop()
+
+    this.velocity = { ...velocity }
+    this.lastFrameTime = performance.now()
+    this.animationId = requestAnimationFrame((now) => this.step(now))
+  }
+
+  /**
+   * Advance the glide by one frame
+   */
+  step(now) {
+    // The first frame's timestamp can predate the performance.now() taken in start; a stalled tab should not jump
+    const deltaTime = Math.max(0, Math.min(now - this.lastFrameTime, 50))
+    this.lastFrameTime = now
+
+    const { viewport, container } = this.state
+    const { viewportController } = this.viewer
+
+    // The edges the lens is heading for, so settling can brake before reaching them
+    const edge = viewportController.applyBoundaryConstraints(
+      this.velocity.x > 0 ? Infinity : -Infinity,
+      this.velocity.y > 0 ? Infinity : -Infinity
+    )
+    const frictionX = this.getAxisFriction(this.velocity.x, (edge.x - viewport.x) * container.width)
+    const frictionY = this.getAxisFriction(this.velocity.y, (edge.y - viewport.y) * container.height)
+
+    // Exponential friction, independent of the frame rate
+    this.velocity.x *= Math.exp(-frictionX * deltaTime)
+    this.velocity.y *= Math.exp(-frictionY * deltaTime)
+
+    const targetX = viewport.x + (this.velocity.x * deltaTime) / container.width
+    const targetY = viewport.y + (this.velocity.y * deltaTime) / container.height
+    const position = viewportController.applyBoundaryConstraints(targetX, targetY)
+
+    // Hitting an edge reverses (bounce) or drops (settle) the velocity along that axis
+    const edgeFactor = this.mode === "bounce" ? -this.restitution : 0
+    if (position.x !== targetX) this.velocity.x *= edgeFactor
+    if (position.y !== targetY) this.velocity.y *= edgeFactor
+
+    viewportController.commitPosition(position.x, position.y)
+    this.viewer.updateViewportPosition()
+
+    if (Math.hypot(this.velocity.x, this.velocity.y) < this.stopSpeed) {
+      this.animationId = null
+      this.viewer.deepLinkManager.commit()
+      return
+    }
+
+    this.animationId = requestAnimationFrame((time) => this.step(time))
+  }
+
+  /**
+   * Friction along one axis; when settling, strong enough to come to rest at the edge
+   *
+   * Exponential friction f carries a glide speed / f further, so an axis that would
+   * overshoot the distance left brakes with speed / distance instead.
+   */
+  getAxisFriction(velocity, distance) {
+    const speed = Math.abs(velocity)
+    if (this.mode !== "settle" || speed === 0) return this.friction
+
+    return Math.max(this.friction, speed / Math.abs(distance))
+  }
+
+  /**
+   * Stop gliding immediately
+   */
+  stop() {
+    if (this.animationId !== null) {
+      cancelAnimationFrame(this.animationId)
+      this.animationId = null
+    }
+  }
+}
+
+/**
+ * Check whether an image URL points at a tile pyramid (Deep Zoom .dzi or IIIF info.json)
+ */
+function isTiledImageUrl(url) {
+  const path = String(url).split(/[?#]/)[0]
+  return /\.dzi$/i.test(path) || /\/info\.json$/i.test(path)
+}
+
+/**
+ * Fetch a tile pyramid descriptor and create the matching tile source
+ */
+async function loadTileSource(url) {
+  if (/\.dzi$/i.test(url.split(/[?#]/)[0])) {
+    const response = await fetch(url)
+    if (!response.ok) {
+      throw new Error(`HTTP ${response.status} loading ${url}`)
+    }
+    return DeepZoomTileSource.fromXml(url, await response.text())
+  }
+
+  return IiifTileSource.fromInfo(url, await fetchJson(url))
+}
+
+/**
+ * TileSource base class describing a tile pyramid
+ *
+ * Levels are ordered from coarsest to finest. Each level has a scale (level
+ * pixels per image pixel), its size in level pixels and a tile grid.
+ */
+class TileSource {
+  constructor(width, height) {
+    this.width = width
+    this.height = height
+    this.levels = []
+  }
+
+  /**
+   * Add a pyramid level (call from coarsest to finest)
+   */
+  addLevel(id, scale, tileWidth, tileHeight) {
+    const width = Math.ceil(this.width * scale)
+    const height = Math.ceil(this.height * scale)
+
+    this.levels.push({
+      id,
+      scale,
+      width,
+      height,
+      tileWidth,
+      tileHeight,
+      columns: Math.ceil(width / tileWidth),
+      rows: Math.ceil(height / tileHeight),
+    })
+  }
+
+  /**
+   * Get the coarsest level that is at least as detailed as the requested scale
+   */
+  getLevelForScale(scale) {
+    const index = this.levels.findIndex((level) => level.scale >= scale)
+    return index >= 0 ? index : this.levels.length - 1
+  }
+
+  /**
+   * Get the URL of the most detailed level that fits in one tile, for overviews (null if none does)
+   */
+  getThumbnailUrl() {
+    for (let index = this.levels.length - 1; index >= 0; index--) {
+      const level = this.levels[index]
+      if (level.columns === 1 && level.rows === 1) return this.getTileUrl(index, 0, 0)
+    }
+    return null
+  }
+
+  /**
+   * Get the URL of a tile (implemented by each format)
+   */
+  getTileUrl() {
+    throw new Error("getTileUrl must be implemented by the tile source")
+  }
+
+  /**
+   * Get the overlap pixels on the left and top edges of a tile image
+   */
+  getTileOverlap() {
+    return { left: 0, top: 0 }
+  }
+}
+
+/**
+ * Deep Zoom (.dzi) tile source
+ */
+class DeepZoomTileSource extends TileSource {
+  constructor(url, { width, height, tileSize, overlap, format }) {
+    super(width, height)
+
+    this.tilesUrl = url.split(/[?#]/)[0].replace(/\.dzi$/i, "_files/")
+    this.overlap = overlap
+    this.format = format
+
+    // Deep Zoom level n is the image scaled to fit 2^n pixels on its longest side
+    const maxLevel = Math.ceil(Math.log2(Math.max(width, height)))
+    for (let level = 0; level <= maxLevel; level++) {
+      this.addLevel(level, 1 / Math.pow(2, maxLevel - level), tileSize, tileSize)
+    }
+  }
+
+  /**
+   * Parse a .dzi XML descriptor
+   */
+  static fromXml(url, xmlText) {
+    const xml = new DOMParser().parseFromString(xmlText, "application/xml")
+    const image = xml.querySelector("Image")
+    const size = xml.querySelector("Size")
+
+    if (!image || !size) {
+      throw new Error(`Invalid Deep Zoom descriptor: ${url}`)
+    }
+
+    return new DeepZoomTileSource(url, {
+      width: Number.parseInt(size.getAttribute("Width"), 10),
+      height: Number.parseInt(size.getAttribute("Height"), 10),
+      tileSize: Number.parseInt(image.getAttribute("TileSize"), 10),
+      overlap: Number.parseInt(image.getAttribute("Overlap"), 10) || 0,
+      format: image.getAttribute("Format") || "jpg",
+    })
+  }
+
+  getTileUrl(levelIndex, column, row) {
+    return `${this.tilesUrl}${this.levels[levelIndex].id}/${column}_${row}.${this.format}`
+  }
+
+  getTileOverlap(column, row) {
+    return { left: column > 0 ? this.overlap : 0, top: row > 0 ? this.overlap : 0 }
+  }
+}
+
+/**
+ * IIIF Image API (version 2 or 3) tile source
+ */
+class IiifTileSource extends TileSource {
+  constructor(info) {
+    super(info.width, info.height)
+
+    this.baseUrl = String(info.id || info["@id"]).replace(/\/$/, "")
+    this.format = (info.preferredFormats && info.preferredFormats[0]) || "jpg"
+
+    const tiles = info.tiles && info.tiles[0]
+    if (!tiles || !tiles.width || !Array.isArray(tiles.scaleFactors)) {
+      throw new Error("IIIF image has no tile description")
+    }
+
+    // A scale factor of n means one tile pixel covers n image pixels
+    const scaleFactors = [...tiles.scaleFactors].sort((a, b) => b - a)
+    for (const scaleFactor of scaleFactors) {
+      this.addLevel(scaleFactor, 1 / scaleFactor, tiles.width, tiles.height || tiles.width)
+    }
+  }
+
+  /**
+   * Create a tile source from an info.json document
+   */
+  static fromInfo(url, info) {
+    if (!info || !info.width || !info.height) {
+      throw new Error(`Invalid IIIF info.json: ${url}`)
+    }
+
+    // Fall back to the info.json location when the service id is missing
+    return new IiifTileSource({ ...info, id: info.id || info["@id"] || url.replace(/\/info\.json$/i, "") })
+  }
+
+  getTileUrl(levelIndex, column, row) {
+    const level = this.levels[levelIndex]
+    const scaleFactor = level.id
+
+    // Tile region in full-size image pixels, and its size once scaled down
+    const regionX = column * level.tileWidth * scaleFactor
+    const regionY = row * level.tileHeight * scaleFactor
+    const regionWidth = Math.min(level.tileWidth * scaleFactor, this.width - regionX)
+    const regionHeight = Math.min(level.tileHeight * scaleFactor, this.height - regionY)
+    const outputWidth = Math.ceil(regionWidth / scaleFactor)
+
+    return `${this.baseUrl}/${regionX},${regionY},${regionWidth},${regionHeight}/${outputWidth},/0/default.${this.format}`
+  }
+}
+
+/**
+ * TileCache class keeping recently used tile images (least recently used are evicted)
+ */
+class TileCache {
+  constructor(maxTiles = 150) {
+    this.maxTiles = maxTiles
+    this.tiles = new Map() // Insertion order doubles as recency order
+    this.onTileLoad = null
+  }
+
+  /**
+   * Get a cached tile and mark it as recently used
+   */
+  get(url) {
+    const tile = this.tiles.get(url)
+    if (tile) {
+      this.tiles.delete(url)
+      this.tiles.set(url, tile)
+    }
+    return tile
+  }
+
+  /**
+   * Get a tile, starting its download if it is not cached yet
+   */
+  request(url) {
+    const cachedTile = this.get(url)
+    if (cachedTile) return cachedTile
+
+    const tile = { image: new Image(), loaded: false, failed: false }
+
+    tile.image.onload = () => {
+      tile.loaded = true
+      if (this.onTileLoad) this.onTileLoad()
+    }
+
+    tile.image.onerror = () => {
+      tile.failed = true
+      console.warn(`Failed to load tile: ${url}`)
+    }
+
+    tile.image.src = url
+    this.tiles.set(url, tile)
+    this.evict()
+
+    return tile
+  }
+
+  /**
+   * Drop the least recently used tiles beyond the cache size
+   */
+  evict() {
+    while (this.tiles.size > this.maxTiles) {
+      const oldestUrl = this.tiles.keys().next().value
+      const tile = this.tiles.get(oldestUrl)
+      tile.image.onload = null
+      tile.image.onerror = null
+      this.tiles.delete(oldestUrl)
+    }
+  }
+
+  /**
+   * Forget all tiles (e.g. when another image is loaded)
+   */
+  clear() {
+    for (const tile of this.tiles.values()) {
+      tile.image.onload = null
+      tile.image.onerror = null
+    }
+    this.tiles.clear()
+  }
+}
+
+/**
+ * TiledImageRenderer class drawing tile pyramids onto canvases
+ *
+ * The background canvas shows the whole visible image at screen resolution and
+ * the lens canvas draws only the tiles under the lens at the zoomed resolution.
+ * Coarser levels are drawn first, so cached low-resolution tiles stand in while
+ * the detailed ones load.
+ */
+class TiledImageRenderer {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.tileSource = null
+    this.backgroundCanvas = null
+    this.lensCanvas = null
+    this.frameRequested = false
+    this.backgroundLayout = null // Image layout the background was last drawn for
+
+    // How many coarser levels to draw underneath the target level
+    this.fallbackLevels = 4
+
+    this.cache = new TileCache()
+    this.cache.onTileLoad = () => this.requestRender()
+  }
+
+  /**
+   * Start drawing a tile source in place of the CSS background image
+   */
+  attach(tileSource) {
+    this.detach()
+    this.tileSource = tileSource
+
+    this.backgroundCanvas = document.createElement("canvas")
+    this.lensCanvas = document.createElement("canvas")
+    this.backgroundCanvas.className = "tile-canvas"
+    this.lensCanvas.className = "tile-canvas"
+
+    this.viewer.backgroundImage.append(this.backgroundCanvas)
+    this.viewer.viewportLensImage.append(this.lensCanvas)
+    this.viewer.binocularContainer.classList.add("tiled-image")
+
+    this.requestRender()
+  }
+
+  /**
+   * Remove the canvases and forget cached tiles
+   */
+  detach() {
+    if (!this.tileSource) return
+
+    this.backgroundCanvas.remove()
+    this.lensCanvas.remove()
+    this.backgroundCanvas = null
+    this.lensCanvas = null
+    this.backgroundLayout = null
+    this.viewer.binocularContainer.classList.remove("tiled-image")
+
+    this.cache.clear()
+    this.tileSource = null
+  }
+
+  /**
+   * Check whether a tiled image is being shown
+   */
+  isActive() {
+    return this.tileSource !== null
+  }
+
+  /**
+   * Redraw on the next animation frame (coalesces tile loads)
+   */
+  requestRender() {
+    if (!this.tileSource || this.frameRequested) return
+
+    this.frameRequested = true
+    requestAnimationFrame(() => {
+      this.frameRequested = false
+      this.render()
+
+      // Renderers that copy the lens canvas need to pick up newly loaded tiles
+      this.viewer.lensRenderer.refresh()
+    })
+  }
+
+  /**
+   * Draw the background and the lens (after tiles arrived)
+   */
+  render() {
+    if (!this.tileSource) return
+
+    const pixelRatio = window.devicePixelRatio || 1
+    this.resizeCanvases(pixelRatio)
+    this.drawBackground(pixelRatio)
+    this.drawLens(pixelRatio)
+  }
+
+  /**
+   * Draw the lens for a lens update, redrawing the background only when the image layout changed
+   *
+   * The background shows the unmagnified image, so lens moves and zoom leave it as it is.
+   */
+  renderFrame() {
+    if (!this.tileSource) return
+
+    const pixelRatio = window.devicePixelRatio || 1
+    const resized = this.resizeCanvases(pixelRatio)
+    if (resized || this.backgroundLayout !== this.viewer.viewportController.getImageLayout()) {
+      this.drawBackground(pixelRatio)
+    }
+    this.drawLens(pixelRatio)
+  }
+
+  /**
+   * Match the canvases to the container in device pixels (resizing clears them)
+   */
+  resizeCanvases(pixelRatio) {
+    const { width, height } = this.state.container
+    const canvasWidth = Math.round(width * pixelRatio)
+    const canvasHeight = Math.round(height * pixelRatio)
+    let resized = false
+
+    for (const canvas of [this.backgroundCanvas, this.lensCanvas]) {
+      if (canvas.width !== canvasWidth || canvas.height !== canvasHeight) {
+        canvas.width = canvasWidth
+        canvas.height = canvasHeight
+        resized = true
+      }
+    }
+
+    return resized
+  }
+
+  /**
+   * Draw the visible part of the image at screen resolution
+   */
+  drawBackground(pixelRatio) {
+    const context = this.backgroundCanvas.getContext("2d")
+    const layout = this.viewer.viewportController.getImageLayout()
+    const { width, height } = this.state.container
+
+    context.setTransform(1, 0, 0, 1, 0, 0)
+    context.clearRect(0, 0, this.backgroundCanvas.width, this.backgroundCanvas.height)
+
+    // Image pixels to canvas pixels
+    const scale = layout.scale * pixelRatio
+    context.setTransform(scale, 0, 0, scale, layout.offsetX * pixelRatio, layout.offsetY * pixelRatio)
+
+    const topLeft = this.viewer.viewportController.screenToImage(0, 0)
+    const bottomRight = this.viewer.viewportController.screenToImage(width, height)
+    this.drawRegion(context, topLeft, bottomRight, scale)
+    this.backgroundLayout = layout
+  }
+
+  /**
+   * Draw the magnified tiles under the lens
+   */
+  drawLens(pixelRatio) {
+    const context = this.lensCanvas.getContext("2d")
+    const layout = this.viewer.viewportController.getImageLayout()
+    const { x, y, zoom } = this.state.viewport
+    const centreX = x * this.state.container.width
+    const centreY = y * this.state.container.height
+
+    context.setTransform(1, 0, 0, 1, 0, 0)
+    context.clearRect(0, 0, this.lensCanvas.width, this.lensCanvas.height)
+
+    // Magnification is centred on the lens: screen = centre + (unzoomed screen - centre) * zoom
+    const scale = layout.scale * zoom
+    const translateX = centreX + (layout.offsetX - centreX) * zoom
+    const translateY = centreY + (layout.offsetY - centreY) * zoom
+    context.setTransform(scale * pixelRatio, 0, 0, scale * pixelRatio, translateX * pixelRatio, translateY * pixelRatio)
+
+    // Lens bounding box in image pixels
+    const extent = this.viewer.lensShapeManager.getExtent()
+    const topLeft = { x: (centreX - extent.halfWidth - translateX) / scale, y: (centreY - extent.halfHeight - translateY) / scale }
+    const bottomRight = { x: (centreX + extent.halfWidth - translateX) / scale, y: (centreY + extent.halfHeight - translateY) / scale }
+    this.drawRegion(context, topLeft, bottomRight, scale * pixelRatio)
+  }
+
+  /**
+   * Draw an image region from the level matching the on-screen scale, over coarser fallbacks
+   */
+  drawRegion(context, topLeft, bottomRight, canvasPixelsPerImagePixel) {
+    const region = {
+      left: Math.max(0, topLeft.x),
+      top: Math.max(0, topLeft.y),
+      right: Math.min(this.tileSource.width, bottomRight.x),
+      bottom: Math.min(this.tileSource.height, bottomRight.y),
+    }
+    if (region.left >= region.right || region.top >= region.bottom) return
+
+    const targetIndex = this.tileSource.getLevelForScale(canvasPixelsPerImagePixel)
+    const fallbackIndex = Math.max(0, targetIndex - this.fallbackLevels)
+
+    for (let levelIndex = fallbackIndex; levelIndex <= targetIndex; levelIndex++) {
+      // Only the target level and the coarsest fallback are downloaded; levels in between are used if cached
+      const shouldRequest = levelIndex === targetIndex || levelIndex === fallbackIndex
+      this.drawLevel(context, levelIndex, region, shouldRequest)
+    }
+  }
+
+  /**
+   * Draw the tiles of one level that cover a region
+   */
+  drawLevel(context, levelIndex, region, shouldRequest) {
+    const level = this.tileSource.levels[levelIndex]
+
+    const firstColumn = Math.max(0, Math.floor((region.left * level.scale) / level.tileWidth))
+    const lastColumn = Math.min(level.columns - 1, Math.floor((region.right * level.scale) / level.tileWidth))
+    const firstRow = Math.max(0, Math.floor((region.top * level.scale) / level.tileHeight))
+    const lastRow = Math.min(level.rows - 1, Math.floor((region.bottom * level.scale) / level.tileHeight))
+
+    for (let row = firstRow; row <= lastRow; row++) {
+      for (let column = firstColumn; column <= lastColumn; column++) {
+        const url = this.tileSource.getTileUrl(levelIndex, column, row)
+        const tile = shouldRequest ? this.cache.request(url) : this.cache.get(url)
+
+        if (tile && tile.loaded) {
+          this.drawTile(context, level, column, row, tile.image)
+        }
+      }
+    }
+  }
+
+  /**
+   * Draw one tile in image pixel coordinates, skipping its overlap margins
+   */
+  drawTile(context, level, column, row, image) {
+    const overlap = this.tileSource.getTileOverlap(column, row)
+    const levelX = column * level.tileWidth
+    const levelY = row * level.tileHeight
+    const width = Math.min(level.tileWidth, level.width - levelX, image.naturalWidth - overlap.left)
+    const height = Math.min(level.tileHeight, level.height - levelY, image.naturalHeight - overlap.top)
+    if (width <= 0 || height <= 0) return
+
+    context.drawImage(
+      image,
+      overlap.left,
+      overlap.top,
+      width,
+      height,
+      levelX / level.scale,
+      levelY / level.scale,
+      width / level.scale,
+      height / level.scale
+    )
+  }
+}
+
+/**
+ * CssLensRenderer class: the lens is a clipped, CSS-scaled copy of the background
+ *
+ * Lens renderers share one interface: attach() and detach() set up and remove
+ * their DOM, setImage(image) receives each loaded image (null for tile pyramids),
+ * render(pixelX, pixelY) draws a frame and renderFallback(pixelX, pixelY) is used
+ * by browsers without custom properties or requestAnimationFrame.
+ */
+class CssLensRenderer {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+    this.name = "css"
+  }
+
+  /**
+   * Nothing to set up: the lens layers are part of the viewer markup
+   */
+  attach() {}
+
+  /**
+   * Nothing to remove
+   */
+  detach() {}
+
+  /**
+   * The CSS lens reads the image from the background layers set by ImageLoader
+   */
+  setImage() {}
+
+  /**
+   * Redraw after the lens content changed outside render() (CSS layers update themselves)
+   */
+  refresh() {}
+
+  /**
+   * Write viewport custom properties to the mask and the magnified lens layer
+   */
+  render(pixelX, pixelY) {
+    const { viewportMask, viewportLens } = this.viewer
+
+    for (const element of [viewportMask, viewportLens]) {
+      if (!element) continue
+
+      const style = element.style
+      style.setProperty("--viewport-x", `${pixelX}px`)
+      style.setProperty("--viewport-y", `${pixelY}px`)
+      style.setProperty("--viewport-radius", `${this.state.viewport.radius}px`)
+      style.setProperty("--viewport-zoom", this.state.viewport.zoom)
+    }
+
+    // Non-circular shapes and decorations are drawn from the same position
+    this.viewer.lensShapeManager.applyShape(pixelX, pixelY)
+
+    // Tiled lens content is redrawn in the same frame so it keeps up with the clip
+    this.viewer.tileRenderer.renderFrame()
+  }
+
+  /**
+   * Fallback viewport position update for older browsers
+   */
+  renderFallback(pixelX, pixelY) {
+    try {
+      if (AppState.browserSupport.customProperties) {
+        // Use custom properties but without requestAnimationFrame
+        this.render(pixelX, pixelY)
+      } else {
+        // Direct style manipulation for very old browsers
+        if (window.fallbackViewport) {
+          window.fallbackViewport.x = `${pixelX}px`
+          window.fallbackViewport.y = `${pixelY}px`
+          window.fallbackViewport.radius = `${this.state.viewport.radius}px`
+        }
+
+        // Update background position as a basic fallback
+        if (this.viewer.viewportMask) {
+          this.viewer.viewportMask.style.backgroundPosition = `${pixelX}px ${pixelY}px`
+        }
+      }
+    } catch (error) {
+      console.error("Fallback viewport update failed:", error)
+    }
+  }
+}
+
+const LENS_VERTEX_SHADER = `
+  attribute vec2 a_position;
+  uniform vec2 u_resolution;
+  varying vec2 v_screen;
+
+  void main() {
+    // Device pixels with the origin at the top left, like the page
+    v_screen = vec2(a_position.x * 0.5 + 0.5, 0.5 - a_position.y * 0.5) * u_resolution;
+    gl_Position = vec4(a_position, 0.0, 1.0);
+  }
+`
+
+const LENS_FRAGMENT_SHADER = `
+  // Positions are device pixels in the thousands, too coarse for mediump on mobile GPUs
+  #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+  #else
+    precision mediump float;
+  #endif
+
+  varying vec2 v_screen;
+  uniform sampler2D u_image;
+  uniform vec2 u_uvScale;
+  uniform vec2 u_uvOffset;
+  uniform vec2 u_centre;
+  uniform vec2 u_extent;
+  uniform float u_distortion;
+  uniform float u_vignette;
+  uniform float u_aberration;
+  uniform float u_blur;
+
+  vec3 sampleImage(vec2 screen) {
+    return texture2D(u_image, screen * u_uvScale + u_uvOffset).rgb;
+  }
+
+  vec3 sampleSoft(vec2 screen, float radius) {
+    if (radius < 0.5) return sampleImage(screen);
+
+    vec3 sum = sampleImage(screen);
+    for (int i = 0; i < 8; i++) {
+      float angle = float(i) * 0.785398;
+      sum += sampleImage(screen + vec2(cos(angle), sin(angle)) * radius);
+    }
+    return sum / 9.0;
+  }
+
+  void main() {
+    vec2 offset = v_screen - u_centre;
+    float r = length(offset / u_extent);
+    float r2 = min(r * r, 1.0);
+
+    // Barrel distortion magnifies the centre and meets the undistorted image at the rim
+    vec2 warped = offset * (1.0 - u_distortion * (1.0 - r2));
+
+    // Colour fringing and focus falloff grow towards the rim
+    float spread = u_aberration * r2;
+    float blur = u_blur * smoothstep(0.55, 1.0, r);
+
+    vec3 colour;
+    colour.r = sampleSoft(u_centre + warped * (1.0 + spread), blur).r;
+    colour.g = sampleSoft(u_centre + warped, blur).g;
+    colour.b = sampleSoft(u_centre + warped * (1.0 - spread), blur).b;
+
+    colour *= 1.0 - u_vignette * smoothstep(0.45, 1.0, r);
+    gl_FragColor = vec4(colour, 1.0);
+  }
+`
+
+/**
+ * WebGLLensRenderer class: draws the lens with a shader for optical effects
+ *
+ * The mask, clip and lens shape still come from the CSS renderer; the shader
+ * canvas sits inside the clipped lens layer in place of the CSS-scaled copy.
+ */
+class WebGLLensRenderer extends CssLensRenderer {
+  constructor(viewer) {
+    super(viewer)
+    this.name = "webgl"
+
+    this.canvas = null
+    this.gl = null
+    this.program = null
+    this.uniforms = {}
+    this.texture = null
+    this.image = null
+    this.lastPosition = null
+
+    // Blur radius at the rim for softness = 1, in CSS pixels
+    this.maxBlur = 6
+  }
+
+  /**
+   * Create the canvas, compile the shaders and upload the current image
+   */
+  attach() {
+    this.canvas = document.createElement("canvas")
+    this.canvas.className = "lens-canvas"
+
+    const gl = this.canvas.getContext("webgl", { alpha: false, antialias: false })
+    if (!gl) {
+      throw new Error("WebGL context could not be created")
+    }
+    this.gl = gl
+
+    this.program = this.createProgram(LENS_VERTEX_SHADER, LENS_FRAGMENT_SHADER)
+    gl.useProgram(this.program)
+
+    // Full-screen quad
+    const buffer = gl.createBuffer()
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer)
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW)
+    const positionLocation = gl.getAttribLocation(this.program, "a_position")
+    gl.enableVertexAttribArray(positionLocation)
+    gl.vertexAttribPointer(positionLocation, 2, gl.FLOAT, false, 0, 0)
+
+    const uniformNames = [
+      "u_resolution",
+      "u_uvScale",
+      "u_uvOffset",
+      "u_centre",
+      "u_extent",
+      "u_distortion",
+      "u_vignette",
+      "u_aberration",
+      "u_blur",
+    ]
+    for (const name of uniformNames) {
+      this.uniforms[name] = gl.getUniformLocation(this.program, name)
+    }
+
+    // Images are rarely power-of-two sized, so no mipmaps or repeat
+    this.texture = gl.createTexture()
+    gl.bindTexture(gl.TEXTURE_2D, this.texture)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR)
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR)
+
+    // Fall back to the CSS lens if the GPU drops the context
+    this.canvas.addEventListener("webglcontextlost", (event) => {
+      event.preventDefault()
+      console.warn("WebGL context lost, switching to the CSS lens renderer")
+      this.viewer.setLensRenderer("css")
+    })
+
+    this.setImage(this.viewer.imageLoader.currentImage)
+
+    this.viewer.viewportLens.append(this.canvas)
+    this.viewer.binocularContainer.classList.add("webgl-lens")
+  }
+
+  /**
+   * Remove the canvas and release the WebGL context
+   */
+  detach() {
+    if (!this.canvas) return
+
+    this.canvas.remove()
+    this.viewer.binocularContainer.classList.remove("webgl-lens")
+
+    const loseContext = this.gl && this.gl.getExtension("WEBGL_lose_context")
+    if (loseContext) loseContext.loseContext()
+
+    this.canvas = null
+    this.gl = null
+  }
+
+  /**
+   * Compile and link the lens shaders
+   */
+  createProgram(vertexSource, fragmentSource) {
+    const gl = this.gl
+    const program = gl.createProgram()
+
+    for (const [type, source] of [
+      [gl.VERTEX_SHADER, vertexSource],
+      [gl.FRAGMENT_SHADER, fragmentSource],
+    ]) {
+      const shader = gl.createShader(type)
+      gl.shaderSource(shader, source)
+      gl.compileShader(shader)
+
+      if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+        throw new Error(`Lens shader failed to compile: ${gl.getShaderInfoLog(shader)}`)
+      }
+      gl.attachShader(program, shader)
+    }
+
+    gl.linkProgram(program)
+    if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+      throw new Error(`Lens shader failed to link: ${gl.getProgramInfoLog(program)}`)
+    }
+
+    return program
+  }
+
+  /**
+   * Upload a loaded image as the lens texture (null: sample the tile renderer instead)
+   *
+   * Throws for cross-origin images without CORS, which WebGL cannot read.
+   */
+  setImage(image) {
+    this.image = image
+    if (!image || !this.gl) return
+
+    const gl = this.gl
+    gl.bindTexture(gl.TEXTURE_2D, this.texture)
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, this.fitTextureSize(image))
+  }
+
+  /**
+   * Scale images larger than the GPU texture limit down to fit
+   */
+  fitTextureSize(image) {
+    const maxSize = this.gl.getParameter(this.gl.MAX_TEXTURE_SIZE)
+    const scale = Math.min(1, maxSize / Math.max(image.naturalWidth, image.naturalHeight))
+    if (scale === 1) return image
+
+    console.log(`Scaling lens texture to fit the ${maxSize}px GPU limit`)
+    const canvas = document.createElement("canvas")
+    canvas.width = Math.floor(image.naturalWidth * scale)
+    canvas.height = Math.floor(image.naturalHeight * scale)
+    canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height)
+    return canvas
+  }
+
+  /**
+   * Update the mask and clip through CSS, then draw the lens with the shader
+   */
+  render(pixelX, pixelY) {
+    super.render(pixelX, pixelY)
+    this.lastPosition = { x: pixelX, y: pixelY }
+
+    try {
+      this.draw(pixelX, pixelY)
+    } catch (error) {
+      console.warn("WebGL lens rendering failed, switching to the CSS lens renderer:", error)
+      this.viewer.setLensRenderer("css")
+    }
+  }
+
+  /**
+   * Redraw at the last position (e.g. once more tiles have loaded)
+   */
+  refresh() {
+    if (!this.lastPosition) return
+
+    try {
+      this.draw(this.lastPosition.x, this.lastPosition.y)
+    } catch (error) {
+      console.warn("WebGL lens rendering failed, switching to the CSS lens renderer:", error)
+      this.viewer.setLensRenderer("css")
+    }
+  }
+
+  /**
+   * Draw one frame of the lens
+   */
+  draw(pixelX, pixelY) {
+    const gl = this.gl
+    if (!gl || gl.isContextLost()) return
+
+    const pixelRatio = window.devicePixelRatio || 1
+    const { width, height } = this.state.container
+    const { zoom } = this.state.viewport
+    const canvasWidth = Math.round(width * pixelRatio)
+    const canvasHeight = Math.round(height * pixelRatio)
+
+    if (this.canvas.width !== canvasWidth) this.canvas.width = canvasWidth
+    if (this.canvas.height !== canvasHeight) this.canvas.height = canvasHeight
+    gl.viewport(0, 0, canvasWidth, canvasHeight)
+
+    // Map device pixels on screen to texture coordinates
+    let uvScale
+    let uvOffset
+
+    if (this.image) {
+      // Magnification is centred on the lens: image = (centre + (screen - centre) / zoom - offset) / scale
+      const layout = this.viewer.viewportController.getImageLayout()
+      const { naturalWidth, naturalHeight } = this.state.imageState
+
+      uvScale = [
+        1 / (pixelRatio * zoom * layout.scale * naturalWidth),
+        1 / (pixelRatio * zoom * layout.scale * naturalHeight),
+      ]
+      uvOffset = [
+        (pixelX - pixelX / zoom - layout.offsetX) / (layout.scale * naturalWidth),
+        (pixelY - pixelY / zoom - layout.offsetY) / (layout.scale * naturalHeight),
+      ]
+    } else if (this.viewer.tileRenderer.isActive()) {
+      // The tile renderer has already drawn the magnified lens in screen space
+      const tileCanvas = this.viewer.tileRenderer.lensCanvas
+      gl.bindTexture(gl.TEXTURE_2D, this.texture)
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, tileCanvas)
+
+      uvScale = [1 / tileCanvas.width, 1 / tileCanvas.height]
+      uvOffset = [0, 0]
+    } else {
+      return
+    }
+
+    const extent = this.viewer.lensShapeManager.getExtent()
+    const { optics } = this.state
+
+    // Only the lens bounding box needs drawing; the CSS clip hides the rest
+    gl.enable(gl.SCISSOR_TEST)
+    gl.scissor(
+      Math.floor((pixelX - extent.halfWidth) * pixelRatio),
+      Math.floor(canvasHeight - (pixelY + extent.halfHeight) * pixelRatio),
+      Math.ceil(extent.halfWidth * 2 * pixelRatio),
+      Math.ceil(extent.halfHeight * 2 * pixelRatio)
+    )
+
+    gl.uniform2f(this.uniforms.u_resolution, canvasWidth, canvasHeight)
+    gl.uniform2f(this.uniforms.u_uvScale, uvScale[0], uvScale[1])
+    gl.uniform2f(this.uniforms.u_uvOffset, uvOffset[0], uvOffset[1])
+    gl.uniform2f(this.uniforms.u_centre, pixelX * pixelRatio, pixelY * pixelRatio)
+    gl.uniform2f(this.uniforms.u_extent, extent.halfWidth * pixelRatio, extent.halfHeight * pixelRatio)
+    gl.uniform1f(this.uniforms.u_distortion, Math.min(optics.distortion, 0.9))
+    gl.uniform1f(this.uniforms.u_vignette, Math.min(optics.vignette, 1))
+    gl.uniform1f(this.uniforms.u_aberration, Math.min(optics.aberration, 0.1))
+    gl.uniform1f(this.uniforms.u_blur, Math.min(optics.softness, 1) * this.maxBlur * pixelRatio)
+
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4)
+  }
+}
+
+// Lens renderer registry (see BrowserCompatibility.selectLensRenderer)
+const LensRenderers = {
+  css: CssLensRenderer,
+  webgl: WebGLLensRenderer,
+}
+
+/**
+ * DeepLinkManager class to share the current view through the URL
+ *
+ * The view is read from the query string or hash (the hash wins) when the viewer
+ * starts, and written back to the hash as the lens moves. Positions are stored in
+ * image pixels so a link opens on the same spot at any screen size. Deliberately
+ * committed views get their own history entry for back/forward navigation.
+ */
+class DeepLinkManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    // Only viewers with the deep-link attribute own the page URL
+    this.enabled = false
+
+    // URL parameters managed by the viewer
+    this.paramNames = ["x", "y", "zoom", "radius", "shape", "src"]
+
+    // Markup values, left out of the URL to keep links short
+    this.defaultSrc = null
+    this.defaultShape = null
+    this.defaultRadius = null
+
+    // Image position waiting for the image to load
+    this.pendingPosition = null
+
+    // Last committed view, stored in the current history entry
+    this.committedView = null
+
+    // Keep the URL in sync without rewriting it on every frame
+    this.scheduleUpdate = debounce(this.updateUrl.bind(this), 250)
+  }
+
+  /**
+   * Apply the view from the URL before the first image load
+   */
+  applyInitialState() {
+    this.enabled = this.viewer.hasAttribute("deep-link")
+    if (!this.enabled) return
+
+    this.defaultSrc = this.viewer.getAttribute("src")
+    this.defaultShape = this.viewer.getAttribute("shape")
+    this.defaultRadius = this.viewer.getAttribute("radius")
+
+    this.applyView(this.readUrlState())
+  }
+
+  /**
+   * Parse the view from the query string and hash
+   */
+  readUrlState() {
+    const params = new URLSearchParams(window.location.search)
+    const hashParams = new URLSearchParams(window.location.hash.replace(/^#/, ""))
+
+    for (const [name, value] of hashParams) {
+      params.set(name, value)
+    }
+
+    const readNumber = (name) => {
+      const value = Number.parseFloat(params.get(name))
+      return Number.isFinite(value) ? value : null
+    }
+
+    return {
+      x: readNumber("x"),
+      y: readNumber("y"),
+      zoom: readNumber("zoom"),
+      radius: readNumber("radius"),
+      shape: params.get("shape"),
+      src: params.get("src"),
+    }
+  }
+
+  /**
+   * Apply a view from the URL or a history entry
+   *
+   * Image, shape and radius left out of the view are the markup defaults, so
+   * going back to such an entry undoes a switch, a shape change or a resize.
+   */
+  applyView(view) {
+    const { viewer } = this
+
+    const src = view.src || this.defaultSrc
+    const srcChanged = src !== viewer.getAttribute("src")
+    if (srcChanged) {
+      if (src) {
+        viewer.setAttribute("src", src)
+      } else {
+        viewer.removeAttribute("src")
+      }
+    }
+
+    // The view's radius replaces one picked by the user
+    const radius = view.radius !== null && view.radius > 0 ? String(view.radius) : this.defaultRadius
+    if (radius !== viewer.getAttribute("radius")) {
+      if (radius) {
+        viewer.setAttribute("radius", radius)
+      } else {
+        viewer.removeAttribute("radius")
+      }
+    }
+    viewer.setLensRadius(null)
+
+    const shape = view.shape || this.defaultShape || viewer.lensShapeManager.defaultShape
+
+    if (this.state.isLoaded && !srcChanged) {
+      // Live viewer: apply directly so values changed by the user are replaced
+      viewer.setLensShape(shape)
+      if (view.zoom !== null) viewer.viewportController.setZoom(view.zoom)
+      if (view.x !== null && view.y !== null) viewer.setImagePosition(view.x, view.y)
+      return
+    }
+
+    // Not ready yet: hand the values to the normal initialization path
+    if (view.shape || viewer.hasAttribute("shape")) viewer.setAttribute("shape", shape)
+    if (view.zoom !== null) viewer.setAttribute("zoom", view.zoom)
+    this.pendingPosition = view.x !== null && view.y !== null ? { x: view.x, y: view.y } : null
+  }
+
+  /**
+   * Finish applying the URL view once the viewport has been initialized
+   */
+  handleViewportInitialized() {
+    if (!this.enabled || !this.viewer.imageLoader.isShareable()) return
+
+    if (this.pendingPosition) {
+      this.viewer.setImagePosition(this.pendingPosition.x, this.pendingPosition.y)
+      this.pendingPosition = null
+    }
+
+    // The opening view is the first committed entry
+    this.committedView = this.getView()
+    history.replaceState({ binocularView: this.committedView }, "", this.buildUrl(this.committedView))
+  }
+
+  /**
+   * Snapshot the current view in URL units
+   */
+  getView() {
+    const { viewport } = this.state
+    const src = this.viewer.getAttribute("src")
+
+    return {
+      x: Math.round(viewport.imageX),
+      y: Math.round(viewport.imageY),
+      zoom: Math.round(viewport.zoom * 100) / 100,
+      radius:
+        this.viewer.hasAttribute("radius") || this.viewer.responsiveManager.userRadius !== null
+          ? Math.round(viewport.radius)
+          : null,
+      shape: viewport.shape !== (this.defaultShape || "circle") ? viewport.shape : null,
+      src: src && src !== this.defaultSrc ? src : null,
+    }
+  }
+
+  /**
+   * Build the page URL for a view (deep-link parameters live in the hash)
+   */
+  buildUrl(view) {
+    const url = new URL(window.location.href)
+    const params = new URLSearchParams()
+
+    for (const name of this.paramNames) {
+      // Query string values were only needed to open the link
+      url.searchParams.delete(name)
+
+      if (view[name] !== null && view[name] !== undefined) {
+        params.set(name, view[name])
+      }
+    }
+
+    url.hash = params.toString()
+    return url.href
+  }
+
+  /**
+   * Replace the current URL with the live view (debounced via scheduleUpdate)
+   */
+  updateUrl() {
+    if (!this.enabled || !this.state.isLoaded || !this.viewer.isConnected) return
+
+    // Local images have no URL to share
+    if (!this.viewer.imageLoader.isShareable()) return
+
+    history.replaceState({ binocularView: this.committedView }, "", this.buildUrl(this.getView()))
+  }
+
+  /**
+   * Record the current view as a new history entry
+   */
+  commit() {
+    if (!this.enabled || !this.state.isLoaded || !this.viewer.imageLoader.isShareable()) return
+
+    const view = this.getView()
+    if (this.committedView && this.paramNames.every((name) => view[name] === this.committedView[name])) return
+
+    this.committedView = view
+    history.pushState({ binocularView: view }, "", this.buildUrl(view))
+  }
+
+  /**
+   * Restore a committed view on browser back/forward
+   */
+  handlePopState(event) {
+    const committedView = event.state && event.state.binocularView
+    const view = committedView || this.readUrlState()
+
+    this.committedView = committedView || null
+    this.applyView(view)
+  }
+}
+
+/**
+ * TourManager class to walk the lens through a scripted list of waypoints
+ *
+ * A tour is a JSON array of waypoints (or an object with a "waypoints" array):
+ * { "x": 1200, "y": 640, "radius": 120, "zoom": 2, "caption": "...", "dwell": 4000 }
+ * x and y are image pixels; radius, zoom, caption, dwell and duration (both in
+ * milliseconds) are optional. Any pointer or key input hands control back to the user.
+ */
+class TourManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.waypoints = []
+    this.currentIndex = -1
+    this.isActive = false // The tour is driving the lens
+    this.isPlaying = false // Waypoints advance automatically after their dwell time
+    this.dwellTimer = null
+    this.loadId = 0
+
+    // Waypoint defaults
+    this.defaultDwell = 4000
+    this.defaultDuration = 1500
+  }
+
+  /**
+   * Load waypoints from a URL or an array
+   */
+  async load(source) {
+    const loadId = ++this.loadId
+    this.stop()
+
+    try {
+      const data = typeof source === "string" ? await fetchJson(source) : source
+      if (loadId !== this.loadId) return
+
+      this.waypoints = this.parseWaypoints(data)
+      this.currentIndex = -1
+      this.updateControls()
+
+      console.log(`Tour loaded with ${this.waypoints.length} waypoints`)
+    } catch (error) {
+      if (loadId !== this.loadId) return
+
+      console.error("Failed to load tour:", error)
+      this.waypoints = []
+      this.updateControls()
+      showUserError("The guided tour could not be loaded.")
+    }
+  }
+
+  /**
+   * Validate and normalize waypoint data, skipping invalid entries
+   */
+  parseWaypoints(data) {
+    const list = Array.isArray(data) ? data : data && data.waypoints
+    if (!Array.isArray(list)) {
+      throw new Error("Tour must be an array of waypoints or an object with a waypoints array")
+    }
+
+    const readNumber = (value) => (Number.isFinite(value) ? value : null)
+
+    return list
+      .filter((waypoint, index) => {
+        const isValid = waypoint && Number.isFinite(waypoint.x) && Number.isFinite(waypoint.y)
+        if (!isValid) {
+          console.warn(`Skipping tour waypoint ${index}: x and y are required`)
+        }
+        return isValid
+      })
+      .map((waypoint) => ({
+        x: waypoint.x,
+        y: waypoint.y,
+        radius: readNumber(waypoint.radius),
+        zoom: readNumber(waypoint.zoom),
+        caption: typeof waypoint.caption === "string" ? waypoint.caption : "",
+        dwell: readNumber(waypoint.dwell) ?? this.defaultDwell,
+        duration: readNumber(waypoint.duration) ?? this.defaultDuration,
+      }))
+  }
+
+  /**
+   * Check whether a tour is loaded
+   */
+  hasTour() {
+    return this.waypoints.length > 0
+  }
+
+  /**
+   * Start or resume automatic playback
+   */
+  play() {
+    if (!this.hasTour() || !this.state.isLoaded) return
+
+    this.isPlaying = true
+
+    // Restart from the beginning after the last waypoint
+    const isAtEnd = this.currentIndex < 0 || this.currentIndex >= this.waypoints.length - 1
+    if (isAtEnd) {
+      this.goTo(0)
+    } else {
+      // A paused tour continues with the next stop; after a hand-back it returns to the current one
+      this.goTo(this.isActive ? this.currentIndex + 1 : this.currentIndex)
+    }
+  }
+
+  /**
+   * Pause automatic playback, leaving the lens where it is
+   */
+  pause() {
+    this.isPlaying = false
+    this.clearDwellTimer()
+    this.updateControls()
+  }
+
+  /**
+   * Toggle between play and pause
+   */
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause()
+    } else {
+      this.play()
+    }
+  }
+
+  /**
+   * Move to the next waypoint
+   */
+  next() {
+    if (!this.hasTour()) return
+    this.goTo(Math.min(this.currentIndex + 1, this.waypoints.length - 1))
+  }
+
+  /**
+   * Move to the previous waypoint
+   */
+  previous() {
+    if (!this.hasTour()) return
+    this.goTo(Math.max(this.currentIndex - 1, 0))
+  }
+
+  /**
+   * Animate the lens to a waypoint and show its caption
+   */
+  goTo(index) {
+    if (!this.state.isLoaded || index < 0 || index >= this.waypoints.length) {
+      this.pause()
+      return
+    }
+
+    const waypoint = this.waypoints[index]
+    const { viewportController } = this.viewer
+
+    this.clearDwellTimer()
+    this.viewer.recordingManager.release()
+    this.isActive = true
+    this.currentIndex = index
+    this.state.viewport.radiusOverride = waypoint.radius
+    this.showCaption(waypoint.caption)
+    this.updateControls()
+
+    viewportController.animateTo(
+      { imageX: waypoint.x, imageY: waypoint.y, radius: waypoint.radius, zoom: waypoint.zoom },
+      waypoint.duration,
+      () => this.handleWaypointReached()
+    )
+  }
+
+  /**
+   * Wait for the dwell time, then continue if the tour is playing
+   */
+  handleWaypointReached() {
+    if (!this.isPlaying) return
+
+    if (this.currentIndex >= this.waypoints.length - 1) {
+      // Stay on the last waypoint
+      this.pause()
+      return
+    }
+
+    const waypoint = this.waypoints[this.currentIndex]
+    this.dwellTimer = this.viewer.schedule(() => {
+      this.dwellTimer = null
+      this.goTo(this.currentIndex + 1)
+    }, waypoint.dwell)
+  }
+
+  /**
+   * Hand control back to the user, keeping the current view
+   */
+  stop() {
+    if (!this.isActive) return
+
+    this.isActive = false
+    this.isPlaying = false
+    this.clearDwellTimer()
+    this.viewer.viewportController.cancelAnimation()
+    this.showCaption("")
+
+    // Return to the radius the user had before the tour
+    this.state.viewport.radiusOverride = null
+    if (this.state.isLoaded) {
+      this.viewer.calculateViewportRadius()
+      this.viewer.viewportController.restoreImagePosition()
+      this.viewer.updateViewportPosition()
+    }
+
+    this.updateControls()
+    console.log("Tour stopped, control returned to the user")
+  }
+
+  /**
+   * Stop the tour on user input that does not come from the tour controls
+   */
+  interrupt(event) {
+    if (!this.isActive || this.viewer.isViewerControl(event.target)) return
+
+    // Browsers can fire pointermove without movement when the page changes under the pointer
+    if (event.type === "pointermove" && event.movementX === 0 && event.movementY === 0) return
+
+    this.stop()
+  }
+
+  /**
+   * Check whether an event target belongs to the on-screen tour controls
+   */
+  isTourControl(target) {
+    return Boolean(this.viewer.tourControls && target instanceof Node && this.viewer.tourControls.contains(target))
+  }
+
+  /**
+   * Handle tour keys, returning true when the key was used by the tour
+   */
+  handleKey(event) {
+    if (!this.hasTour()) return false
+
+    // Let focused tour buttons handle their own activation keys
+    if (this.isTourControl(event.target) && (event.key === " " || event.key === "Enter")) return true
+
+    switch (event.key) {
+      case " ":
+        this.togglePlay()
+        return true
+      case "]":
+        this.next()
+        return true
+      case "[":
+        this.previous()
+        return true
+      // Clickers send page keys, which otherwise pan (see the pageUp and pageDown bindings)
+      case "PageDown":
+        if (!this.isActive) return false
+        this.next()
+        return true
+      case "PageUp":
+        if (!this.isActive) return false
+        this.previous()
+        return true
+      case "Escape":
+        if (!this.isActive) return false
+        this.stop()
+        return true
+      default:
+        return false
+    }
+  }
+
+  /**
+   * Show a waypoint caption (an empty caption hides it)
+   */
+  showCaption(text) {
+    const { tourCaption } = this.viewer
+    if (!tourCaption) return
+
+    tourCaption.textContent = text
+    tourCaption.hidden = !text
+  }
+
+  /**
+   * Reflect the tour state in the on-screen controls
+   */
+  updateControls() {
+    const { tourControls } = this.viewer
+    if (!tourControls) return
+
+    tourControls.hidden = !this.hasTour()
+
+    const playButton = tourControls.querySelector(".tour-play")
+    playButton.textContent = this.isPlaying ? "❚❚" : "▶"
+    playButton.setAttribute("aria-label", this.isPlaying ? "Pause tour" : "Play tour")
+
+    tourControls.querySelector(".tour-progress").textContent =
+      this.currentIndex >= 0 ? `${this.currentIndex + 1} / ${this.waypoints.length}` : `${this.waypoints.length} stops`
+  }
+
+  /**
+   * Cancel a pending dwell timer
+   */
+  clearDwellTimer() {
+    if (this.dwellTimer) {
+      this.viewer.unschedule(this.dwellTimer)
+      this.dwellTimer = null
+    }
+  }
+}
+
+/**
+ * HotspotManager class to reveal annotations when the lens passes over them
+ *
+ * Hotspots are a JSON array (or an object with a "hotspots" array) of regions in
+ * image pixels, each with a title and an HTML description:
+ * { "id": "q3", "title": "Q3", "description": "<p>...</p>", "rect": { "x": 0, "y": 0, "width": 100, "height": 50 } }
+ * or with "polygon": [[x, y], ...] instead of "rect". The viewer fires hotspotenter,
+ * hotspotleave and hotspotopen events with the hotspot in event.detail.
+ */
+class HotspotManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.hotspots = []
+    this.activeHotspot = null
+    this.openHotspot = null
+    this.focusIndex = null // Hotspot last stepped to with focusNext
+    this.loadId = 0
+  }
+
+  /**
+   * Load hotspots from a URL or an array
+   */
+  async load(source) {
+    const loadId = ++this.loadId
+
+    try {
+      const data = typeof source === "string" ? await fetchJson(source) : source
+      if (loadId !== this.loadId) return
+
+      this.hotspots = this.parseHotspots(data)
+      console.log(`Loaded ${this.hotspots.length} hotspots`)
+    } catch (error) {
+      if (loadId !== this.loadId) return
+
+      console.error("Failed to load hotspots:", error)
+      this.hotspots = []
+      showUserError("The diagram annotations could not be loaded.")
+    }
+
+    this.focusIndex = null
+    this.closePanel()
+    this.setActiveHotspot(null)
+    this.update()
+  }
+
+  /**
+   * Validate hotspot data and convert every region to a polygon
+   */
+  parseHotspots(data) {
+    const list = Array.isArray(data) ? data : data && data.hotspots
+    if (!Array.isArray(list)) {
+      throw new Error("Hotspots must be an array or an object with a hotspots array")
+    }
+
+    return list
+      .map((hotspot, index) => {
+        const points = hotspot && this.getRegionPoints(hotspot)
+        if (!points) {
+          console.warn(`Skipping hotspot ${index}: a rect or a polygon of at least 3 points is required`)
+          return null
+        }
+
+        return {
+          id: hotspot.id !== undefined ? String(hotspot.id) : `hotspot-${index}`,
+          title: typeof hotspot.title === "string" ? hotspot.title : "",
+          description: typeof hotspot.description === "string" ? hotspot.description : "",
+          points,
+          data: hotspot,
+        }
+      })
+      .filter(Boolean)
+  }
+
+  /**
+   * Read a rect or polygon region as a list of [x, y] points
+   */
+  getRegionPoints(hotspot) {
+    const { rect, polygon } = hotspot
+
+    if (rect && [rect.x, rect.y, rect.width, rect.height].every(Number.isFinite)) {
+      return [
+        [rect.x, rect.y],
+        [rect.x + rect.width, rect.y],
+        [rect.x + rect.width, rect.y + rect.height],
+        [rect.x, rect.y + rect.height],
+      ]
+    }
+
+    const isPoint = (point) => Array.isArray(point) && Number.isFinite(point[0]) && Number.isFinite(point[1])
+    if (Array.isArray(polygon) && polygon.length >= 3 && polygon.every(isPoint)) {
+      return polygon.map((point) => [point[0], point[1]])
+    }
+
+    return null
+  }
+
+  /**
+   * Find the hotspot under the lens after it moved
+   */
+  update() {
+    if (!this.hotspots.length || !this.state.isLoaded || this.state.viewport.imageX === null) {
+      this.setActiveHotspot(null)
+      return
+    }
+
+    this.setActiveHotspot(this.findHotspotUnderLens())
+    this.positionCallout()
+  }
+
+  /**
+   * Pick the hotspot under the lens centre, else the first one the visible lens area overlaps
+   *
+   * The lens shows the image at radius / zoom around its centre, so the visible
+   * area is the shape extent divided by the zoom, converted to image pixels.
+   */
+  findHotspotUnderLens() {
+    const { imageX, imageY, zoom } = this.state.viewport
+    const centreHit = this.hotspots.find((hotspot) => this.containsPoint(hotspot.points, imageX, imageY))
+    if (centreHit) return centreHit
+
+    const { scale } = this.viewer.viewportController.getImageLayout()
+    const extent = this.viewer.lensShapeManager.getExtent()
+    const radiusX = extent.halfWidth / zoom / scale
+    const radiusY = extent.halfHeight / zoom / scale
+
+    return this.hotspots.find((hotspot) => this.overlapsEllipse(hotspot.points, imageX, imageY, radiusX, radiusY)) || null
+  }
+
+  /**
+   * Point-in-polygon test (ray casting)
+   */
+  containsPoint(points, x, y) {
+    let inside = false
+
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+      const [xi, yi] = points[i]
+      const [xj, yj] = points[j]
+
+      if (yi > y !== yj > y && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) {
+        inside = !inside
+      }
+    }
+
+    return inside
+  }
+
+  /**
+   * Test whether a polygon overlaps an axis-aligned ellipse
+   */
+  overlapsEllipse(points, centreX, centreY, radiusX, radiusY) {
+    // Scale space so the ellipse becomes a unit circle at the origin
+    const scaled = points.map(([x, y]) => [(x - centreX) / radiusX, (y - centreY) / radiusY])
+
+    if (this.containsPoint(scaled, 0, 0)) return true
+
+    // Otherwise an edge must come within distance 1 of the origin
+    return scaled.some(([x1, y1], index) => {
+      const [x2, y2] = scaled[(index + 1) % scaled.length]
+      const dx = x2 - x1
+      const dy = y2 - y1
+      const lengthSquared = dx * dx + dy * dy
+      const t = lengthSquared ? Math.max(0, Math.min(1, -(x1 * dx + y1 * dy) / lengthSquared)) : 0
+      const closestX = x1 + t * dx
+      const closestY = y1 + t * dy
+      return closestX * closestX + closestY * closestY <= 1
+    })
+  }
+
+  /**
+   * Change the active hotspot, updating the callout and firing enter/leave events
+   */
+  setActiveHotspot(hotspot) {
+    if (hotspot === this.activeHotspot) return
+
+    const previousHotspot = this.activeHotspot
+    this.activeHotspot = hotspot
+
+    if (previousHotspot) {
+      this.dispatch("hotspotleave", previousHotspot)
+    }
+
+    const { hotspotCallout } = this.viewer
+    if (hotspotCallout) {
+      hotspotCallout.textContent = hotspot ? hotspot.title : ""
+      hotspotCallout.hidden = !hotspot || !hotspot.title
+    }
+
+    if (hotspot) {
+      this.dispatch("hotspotenter", hotspot)
+    }
+  }
+
+  /**
+   * Place the callout beside the lens, flipping sides near the right edge
+   */
+  positionCallout() {
+    const { hotspotCallout } = this.viewer
+    if (!hotspotCallout || hotspotCallout.hidden) return
+
+    const { width, height } = this.state.container
+    const extent = this.viewer.lensShapeManager.getExtent()
+    const pixelX = this.state.viewport.x * width
+    const pixelY = this.state.viewport.y * height
+    const placeLeft = pixelX > width * 0.6
+
+    hotspotCallout.classList.toggle("left", placeLeft)
+    hotspotCallout.style.left = `${placeLeft ? pixelX - extent.halfWidth - 12 : pixelX + extent.halfWidth + 12}px`
+    hotspotCallout.style.top = `${pixelY}px`
+  }
+
+  /**
+   * Open the detail panel for a click inside the lens over a hotspot
+   */
+  handleClick(event) {
+    if (!this.hotspots.length || !this.state.isLoaded) return
+
+    const rect = this.viewer.binocularContainer.getBoundingClientRect()
+    const clickX = event.clientX - rect.left
+    const clickY = event.clientY - rect.top
+    const lensX = this.state.viewport.x * this.state.container.width
+    const lensY = this.state.viewport.y * this.state.container.height
+
+    // Only clicks inside the lens count (bounding ellipse of the lens shape)
+    const extent = this.viewer.lensShapeManager.getExtent()
+    const offsetX = (clickX - lensX) / extent.halfWidth
+    const offsetY = (clickY - lensY) / extent.halfHeight
+    if (offsetX * offsetX + offsetY * offsetY > 1) return
+
+    // Map the click through the magnification to the image point shown there
+    const { zoom } = this.state.viewport
+    const imagePoint = this.viewer.viewportController.screenToImage(
+      lensX + (clickX - lensX) / zoom,
+      lensY + (clickY - lensY) / zoom
+    )
+
+    const hotspot = this.hotspots.find((candidate) => this.containsPoint(candidate.points, imagePoint.x, imagePoint.y))
+    if (hotspot) {
+      this.openPanel(hotspot)
+    }
+  }
+
+  /**
+   * Animate the lens to the next (step 1) or previous (step -1) hotspot
+   */
+  focusNext(step, duration) {
+    if (this.hotspots.length === 0) return
+
+    const count = this.hotspots.length
+    if (this.focusIndex === null) {
+      this.focusIndex = step > 0 ? 0 : count - 1
+    } else {
+      this.focusIndex = (this.focusIndex + step + count) % count
+    }
+
+    // Centre of the region's bounding box
+    const { points } = this.hotspots[this.focusIndex]
+    const xs = points.map((point) => point[0])
+    const ys = points.map((point) => point[1])
+
+    this.viewer.viewportController.animateTo(
+      { imageX: (Math.min(...xs) + Math.max(...xs)) / 2, imageY: (Math.min(...ys) + Math.max(...ys)) / 2 },
+      duration,
+      () => this.viewer.deepLinkManager.commit()
+    )
+  }
+
+  /**
+   * Open the detail panel for the hotspot under the lens (keyboard users)
+   */
+  openActive() {
+    if (this.activeHotspot) {
+      this.openPanel(this.activeHotspot)
+    }
+  }
+
+  /**
+   * Show a hotspot's title and HTML description in the detail panel
+   */
+  openPanel(hotspot) {
+    const { hotspotPanel } = this.viewer
+    if (!hotspotPanel) return
+
+    hotspotPanel.querySelector(".hotspot-panel-title").textContent = hotspot.title
+    hotspotPanel.setAttribute("aria-label", hotspot.title || "Details")
+
+    // Descriptions are trusted HTML from the hotspot file
+    hotspotPanel.querySelector(".hotspot-panel-body").innerHTML = hotspot.description
+
+    hotspotPanel.hidden = false
+    hotspotPanel.focus({ preventScroll: true })
+    this.openHotspot = hotspot
+
+    this.dispatch("hotspotopen", hotspot)
+  }
+
+  /**
+   * Close the detail panel and return focus to the viewer
+   */
+  closePanel() {
+    const { hotspotPanel } = this.viewer
+    if (!hotspotPanel || hotspotPanel.hidden) return
+
+    const hadFocus = hotspotPanel.contains(document.activeElement)
+
+    hotspotPanel.hidden = true
+    this.openHotspot = null
+
+    if (hadFocus) {
+      this.viewer.focus({ preventScroll: true })
+    }
+  }
+
+  /**
+   * Check whether the detail panel is open
+   */
+  isPanelOpen() {
+    return this.openHotspot !== null
+  }
+
+  /**
+   * Fire a hotspot event on the viewer element
+   */
+  dispatch(type, hotspot) {
+    this.viewer.dispatchEvent(
+      new CustomEvent(type, {
+        bubbles: true,
+        detail: { id: hotspot.id, title: hotspot.title, hotspot: hotspot.data },
+      })
+    )
+  }
+}
+
+/**
+ * GalleryManager class to page through several images from a manifest
+ *
+ * A manifest is a JSON array (or an object with an "images" array) of entries:
+ * { "src": "roadmap.png", "title": "Roadmap", "thumbnail": "roadmap-thumb.png", "start": { "x": 900, "y": 400, "zoom": 2 } }
+ * Only src is required. The lens position is remembered per image, and the next
+ * image is preloaded so switching is quick. Entries can also carry text for screen
+ * readers ("description" and "regions", see DescriptionManager).
+ */
+class GalleryManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.images = []
+    this.currentIndex = -1
+    this.positions = new Map() // Image index -> { x, y, zoom } in image pixels
+    this.loadId = 0
+
+    // Crossfade duration in milliseconds (matches .crossfade-layer in styles.css)
+    this.transitionDuration = 600
+  }
+
+  /**
+   * Load a manifest from a URL or an array
+   */
+  async load(source) {
+    const loadId = ++this.loadId
+
+    try {
+      const data = typeof source === "string" ? await fetchJson(source) : source
+      if (loadId !== this.loadId) return
+
+      this.images = this.parseManifest(data)
+      this.positions.clear()
+      console.log(`Gallery loaded with ${this.images.length} images`)
+    } catch (error) {
+      if (loadId !== this.loadId) return
+
+      console.error("Failed to load gallery manifest:", error)
+      this.images = []
+      showUserError("The image gallery could not be loaded.")
+    }
+
+    // Show the first image unless the current one (e.g. from a shared link) is in the gallery
+    this.currentIndex = this.images.findIndex((image) => image.src === this.viewer.getAttribute("src"))
+    this.renderThumbnails()
+    this.viewer.descriptionManager.updateDescription()
+
+    if (this.currentIndex < 0 && this.images.length) {
+      this.show(0)
+    }
+  }
+
+  /**
+   * Validate manifest entries, skipping those without a src
+   */
+  parseManifest(data) {
+    const list = Array.isArray(data) ? data : data && data.images
+    if (!Array.isArray(list)) {
+      throw new Error("Manifest must be an array of images or an object with an images array")
+    }
+
+    return list
+      .filter((image, index) => {
+        const isValid = image && typeof image.src === "string" && image.src
+        if (!isValid) {
+          console.warn(`Skipping gallery image ${index}: src is required`)
+        }
+        return isValid
+      })
+      .map((image, index) => {
+        const start = image.start
+        const hasStart = start && Number.isFinite(start.x) && Number.isFinite(start.y)
+
+        return {
+          src: image.src,
+          title: typeof image.title === "string" ? image.title : `Image ${index + 1}`,
+          thumbnail: typeof image.thumbnail === "string" ? image.thumbnail : isTiledImageUrl(image.src) ? null : image.src,
+          start: hasStart ? { x: start.x, y: start.y, zoom: Number.isFinite(start.zoom) ? start.zoom : null } : null,
+          description: typeof image.description === "string" ? image.description : "",
+          regions: this.viewer.descriptionManager.parseRegions(image.regions),
+        }
+      })
+  }
+
+  /**
+   * Check whether a gallery with more than one image is loaded
+   */
+  hasGallery() {
+    return this.images.length > 1
+  }
+
+  /**
+   * Switch to an image, remembering the lens position on the current one
+   */
+  show(index) {
+    if (!this.images.length) return
+
+    const nextIndex = (index + this.images.length) % this.images.length
+    if (nextIndex === this.currentIndex) return
+
+    this.rememberPosition()
+    this.startCrossfade()
+
+    this.currentIndex = nextIndex
+    this.updateThumbnails()
+
+    console.log(`Showing gallery image ${nextIndex + 1}: ${this.images[nextIndex].title}`)
+    this.viewer.setAttribute("src", this.images[nextIndex].src)
+  }
+
+  /**
+   * Show the next image
+   */
+  next() {
+    this.show(this.currentIndex + 1)
+  }
+
+  /**
+   * Show the previous image
+   */
+  previous() {
+    this.show(this.currentIndex - 1)
+  }
+
+  /**
+   * Store the lens position and zoom for the current image
+   */
+  rememberPosition() {
+    const { viewport } = this.state
+    if (this.currentIndex < 0 || !this.state.isLoaded || viewport.imageX === null) return
+
+    this.positions.set(this.currentIndex, { x: viewport.imageX, y: viewport.imageY, zoom: viewport.zoom })
+  }
+
+  /**
+   * Restore the remembered (or manifest start) position once the viewport is ready
+   */
+  handleViewportInitialized() {
+    const image = this.images[this.currentIndex]
+    if (!image) return
+
+    // Without a zoom of its own, an image starts at 1 rather than keeping the previous image's zoom
+    const position = this.positions.get(this.currentIndex) || image.start
+    this.viewer.viewportController.setZoom(position && position.zoom !== null ? position.zoom : 1)
+    if (position) {
+      this.viewer.setImagePosition(position.x, position.y)
+    }
+  }
+
+  /**
+   * Keep the current index in step with the loaded image and preload the next one
+   */
+  handleImageLoad() {
+    this.finishCrossfade()
+
+    this.currentIndex = this.images.findIndex((image) => image.src === this.viewer.getAttribute("src"))
+    this.updateThumbnails()
+
+    if (this.hasGallery() && this.currentIndex >= 0) {
+      const nextImage = this.images[(this.currentIndex + 1) % this.images.length]
+      if (isTiledImageUrl(nextImage.src)) return // Tiles are fetched on demand
+
+      this.viewer.imageLoader.tryLoadImage(nextImage.src).catch((error) => {
+        console.warn(`Failed to preload gallery image: ${error.message}`)
+      })
+    }
+  }
+
+  /**
+   * Cover the outgoing image with a copy that fades out once the new one has loaded
+   */
+  startCrossfade() {
+    const { backgroundImage, viewportLensImage, lensRenderer } = this.viewer
+    if (!backgroundImage || !this.state.imageState.isLoaded) return
+
+    this.removeCrossfadeLayers()
+
+    // A WebGL drawing buffer is only readable in the task that drew it
+    lensRenderer.refresh()
+
+    for (const layer of [backgroundImage, viewportLensImage, lensRenderer.canvas]) {
+      if (!layer) continue
+
+      const copy = layer.cloneNode(true)
+      copy.classList.add("crossfade-layer")
+
+      // Cloned canvases (tiles, WebGL lens) come out blank, so copy what was drawn on them
+      const sources = layer instanceof HTMLCanvasElement ? [layer] : [...layer.querySelectorAll("canvas")]
+      const copies = copy instanceof HTMLCanvasElement ? [copy] : [...copy.querySelectorAll("canvas")]
+      sources.forEach((source, index) => {
+        if (!source.width || !source.height) return
+        copies[index].width = source.width
+        copies[index].height = source.height
+        copies[index].getContext("2d").drawImage(source, 0, 0)
+      })
+
+      layer.after(copy)
+    }
+  }
+
+  /**
+   * Fade out the copies of the previous image
+   */
+  finishCrossfade() {
+    const layers = this.viewer.querySelectorAll(".crossfade-layer")
+    if (!layers.length) return
+
+    for (const layer of layers) {
+      layer.classList.add("fade-out")
+    }
+
+    // With reduced motion styles.css drops the fade, so the copies can go at once
+    const duration = this.viewer.preferenceManager.reducedMotion ? 0 : this.transitionDuration
+    this.viewer.schedule(() => {
+      for (const layer of layers) {
+        layer.remove()
+      }
+    }, duration)
+  }
+
+  /**
+   * Drop crossfade copies immediately (e.g. when the new image failed to load)
+   */
+  removeCrossfadeLayers() {
+    for (const layer of this.viewer.querySelectorAll(".crossfade-layer")) {
+      layer.remove()
+    }
+  }
+
+  /**
+   * Build the thumbnail strip for the loaded manifest
+   */
+  renderThumbnails() {
+    const { galleryStrip } = this.viewer
+    if (!galleryStrip) return
+
+    const thumbnails = galleryStrip.querySelector(".gallery-thumbnails")
+    thumbnails.replaceChildren(
+      ...this.images.map((image, index) => {
+        const button = document.createElement("button")
+        button.type = "button"
+        button.className = "gallery-thumbnail"
+        button.dataset.index = index
+        button.title = image.title
+        button.setAttribute("aria-label", image.title)
+
+        // Tile pyramids without a thumbnail show their number instead
+        if (image.thumbnail) {
+          const thumbnail = document.createElement("img")
+          thumbnail.src = image.thumbnail
+          thumbnail.alt = ""
+          thumbnail.loading = "lazy"
+          button.append(thumbnail)
+        } else {
+          button.textContent = index + 1
+        }
+
+        return button
+      })
+    )
+
+    galleryStrip.hidden = !this.hasGallery()
+    this.updateThumbnails()
+  }
+
+  /**
+   * Highlight the current image in the thumbnail strip
+   */
+  updateThumbnails() {
+    const { galleryStrip } = this.viewer
+    if (!galleryStrip) return
+
+    for (const button of galleryStrip.querySelectorAll(".gallery-thumbnail")) {
+      const isCurrent = Number(button.dataset.index) === this.currentIndex
+      button.classList.toggle("active", isCurrent)
+      button.toggleAttribute("aria-current", isCurrent)
+    }
+
+    const image = this.images[this.currentIndex]
+    galleryStrip.querySelector(".gallery-title").textContent = image ? image.title : ""
+  }
+}
+
+/**
+ * Default key bindings: action → keys
+ *
+ * A key is either a KeyboardEvent.code, which names a position on the keyboard
+ * ("KeyW" is Z on AZERTY), or the character the key types ("l", "+") for
+ * mnemonic shortcuts. Named keys such as "ArrowUp" or "Home" match both.
+ */
+const DEFAULT_KEY_BINDINGS = {
+  moveUp: ["ArrowUp", "KeyW"],
+  moveDown: ["ArrowDown", "KeyS"],
+  moveLeft: ["ArrowLeft", "KeyA"],
+  moveRight: ["ArrowRight", "KeyD"],
+  pageUp: ["PageUp"],
+  pageDown: ["PageDown"],
+  centre: ["Home"],
+  zoomIn: ["+", "=", "NumpadAdd"],
+  zoomOut: ["-", "_", "NumpadSubtract"],
+  zoomReset: ["0", "Numpad0"],
+  growLens: [".", ">"],
+  shrinkLens: [",", "<"],
+  cycleShape: ["l"],
+  cycleSurround: ["o"],
+  nextImage: ["n"],
+  previousImage: ["p"],
+  openHotspot: ["Enter", "NumpadEnter"],
+  toggleMinimap: ["m"],
+  toggleHeatmap: ["h"],
+}
+
+// Movement actions keep the lens moving while held
+const MOVEMENT_ACTIONS = ["moveUp", "moveDown", "moveLeft", "moveRight"]
+
+// localStorage key for bindings saved with setBindings (shared by the viewers on a page)
+const KEY_BINDINGS_STORAGE_KEY = "binocular-viewer:key-bindings"
+
+/**
+ * KeyBindingManager class to map keyboard events to viewer actions
+ *
+ * Bindings are the defaults, overridden by the key-bindings attribute (JSON),
+ * overridden in turn by bindings the user saved to localStorage.
+ */
+class KeyBindingManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.bindings = this.cloneBindings(DEFAULT_KEY_BINDINGS)
+    this.configuredBindings = {}
+  }
+
+  /**
+   * Combine the defaults, the key-bindings attribute and saved bindings
+   */
+  load(attributeValue) {
+    this.configuredBindings = {}
+
+    if (attributeValue) {
+      try {
+        this.configuredBindings = this.parseBindings(JSON.parse(attributeValue))
+      } catch (error) {
+        console.warn("Ignoring invalid key-bindings attribute:", error)
+      }
+    }
+
+    this.bindings = {
+      ...this.cloneBindings(DEFAULT_KEY_BINDINGS),
+      ...this.configuredBindings,
+      ...this.readSavedBindings(),
+    }
+  }
+
+  /**
+   * Validate a bindings object, keeping known actions with a key or a list of keys
+   */
+  parseBindings(data) {
+    if (!data || typeof data !== "object" || Array.isArray(data)) {
+      throw new Error("Key bindings must be an object of action names to keys")
+    }
+
+    const bindings = {}
+    for (const [action, keys] of Object.entries(data)) {
+      const list = typeof keys === "string" ? [keys] : keys
+
+      if (!(action in DEFAULT_KEY_BINDINGS)) {
+        console.warn(`Ignoring key binding for unknown action "${action}"`)
+      } else if (!Array.isArray(list) || !list.every((key) => typeof key === "string" && key)) {
+        console.warn(`Ignoring key binding for "${action}": expected a key or a list of keys`)
+      } else {
+        bindings[action] = [...list]
+      }
+    }
+
+    return bindings
+  }
+
+  /**
+   * Read bindings saved by setBindings (empty when storage is unavailable)
+   */
+  readSavedBindings() {
+    try {
+      const saved = localStorage.getItem(KEY_BINDINGS_STORAGE_KEY)
+      return saved ? this.parseBindings(JSON.parse(saved)) : {}
+    } catch (error) {
+      console.warn("Could not read saved key bindings:", error)
+      return {}
+    }
+  }
+
+  /**
+   * Change some bindings (e.g. { zoomIn: ["KeyI"] }), saving them for later visits unless save is false
+   */
+  setBindings(overrides, { save = true } = {}) {
+    const bindings = this.parseBindings(overrides)
+    Object.assign(this.bindings, bindings)
+    this.viewer.descriptionManager.updateInstructions()
+
+    if (!save) return
+
+    try {
+      const saved = { ...this.readSavedBindings(), ...bindings }
+      localStorage.setItem(KEY_BINDINGS_STORAGE_KEY, JSON.stringify(saved))
+    } catch (error) {
+      console.warn("Could not save key bindings:", error)
+    }
+  }
+
+  /**
+   * Forget saved bindings and return to the configured ones
+   */
+  resetBindings() {
+    try {
+      localStorage.removeItem(KEY_BINDINGS_STORAGE_KEY)
+    } catch (error) {
+      console.warn("Could not clear saved key bindings:", error)
+    }
+
+    this.bindings = { ...this.cloneBindings(DEFAULT_KEY_BINDINGS), ...this.configuredBindings }
+    this.viewer.descriptionManager.updateInstructions()
+  }
+
+  /**
+   * Copy a bindings object so the key lists can be changed safely
+   */
+  cloneBindings(bindings) {
+    return Object.fromEntries(Object.entries(bindings).map(([action, keys]) => [action, [...keys]]))
+  }
+
+  /**
+   * Find the action bound to a keyboard event, or null
+   */
+  getAction(event) {
+    const key = typeof event.key === "string" ? event.key.toLowerCase() : ""
+
+    for (const [action, keys] of Object.entries(this.bindings)) {
+      if (keys.some((binding) => binding === event.code || binding.toLowerCase() === key)) {
+        return action
+      }
+    }
+
+    return null
+  }
+}
+
+/**
+ * Button indices in the standard gamepad mapping (Xbox layout)
+ */
+const GamepadButtons = {
+  a: 0,
+  b: 1,
+  x: 2,
+  y: 3,
+  leftBumper: 4,
+  rightBumper: 5,
+  leftTrigger: 6,
+  rightTrigger: 7,
+  start: 9,
+  dpadUp: 12,
+  dpadDown: 13,
+  dpadLeft: 14,
+  dpadRight: 15,
+}
+
+/**
+ * GamepadManager class for Xbox-style controllers
+ *
+ * The left stick and d-pad steer the lens through the shared movement loop
+ * (startKeyboardMovement), the triggers zoom (or resize the lens while X is held)
+ * and the buttons step through points of interest. The Gamepad API has no input
+ * events, so a connected pad is polled every animation frame.
+ */
+class GamepadManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    // Tuning
+    this.deadZone = 0.2 // Stick travel ignored around the centre (0-1)
+    this.triggerThreshold = 0.05 // Trigger travel ignored at rest (0-1)
+    this.zoomRate = 0.03 // Zoom change per 60fps frame at full trigger (logarithmic)
+    this.resizeRate = 0.02 // Radius change per 60fps frame at full trigger (logarithmic)
+    this.resetDuration = 600 // Animation time when jumping to the centre or a hotspot (ms)
+
+    this.gamepadIndex = null
+    this.pollId = null
+    this.lastPollTime = 0
+    this.previousButtons = []
+    this.direction = { x: 0, y: 0 }
+    this.isSteering = false
+    this.isZooming = false
+  }
+
+  /**
+   * Listen for controllers being plugged in and out
+   */
+  attach() {
+    if (typeof navigator.getGamepads !== "function") return
+
+    this.viewer.listen(window, "gamepadconnected", (event) => this.handleConnected(event))
+    this.viewer.listen(window, "gamepaddisconnected", (event) => this.handleDisconnected(event))
+
+    // A pad may already be connected (e.g. when the viewer is re-attached)
+    if (this.findGamepad()) {
+      this.startPolling()
+    }
+  }
+
+  /**
+   * Stop polling and release the lens
+   */
+  detach() {
+    this.stopPolling()
+    this.releaseInput()
+    this.gamepadIndex = null
+  }
+
+  /**
+   * Start using a newly connected controller
+   */
+  handleConnected(event) {
+    console.log(`Gamepad connected: ${event.gamepad.id}`)
+
+    if (this.gamepadIndex === null) {
+      this.gamepadIndex = event.gamepad.index
+      this.previousButtons = []
+    }
+    this.startPolling()
+  }
+
+  /**
+   * Switch to another controller, or stop polling when the last one is unplugged
+   */
+  handleDisconnected(event) {
+    console.log(`Gamepad disconnected: ${event.gamepad.id}`)
+    if (event.gamepad.index !== this.gamepadIndex) return
+
+    this.gamepadIndex = null
+    this.releaseInput()
+
+    if (!this.findGamepad()) {
+      this.stopPolling()
+    }
+  }
+
+  /**
+   * Pick the first connected controller, returning it (or null)
+   */
+  findGamepad() {
+    const gamepad = Array.from(navigator.getGamepads()).find((candidate) => candidate && candidate.connected)
+
+    this.gamepadIndex = gamepad ? gamepad.index : null
+    this.previousButtons = []
+    return gamepad || null
+  }
+
+  /**
+   * Get a fresh snapshot of the active controller (some browsers do not update old ones)
+   */
+  getGamepad() {
+    if (this.gamepadIndex === null) return null
+
+    const gamepad = navigator.getGamepads()[this.gamepadIndex]
+    return gamepad && gamepad.connected ? gamepad : null
+  }
+
+  /**
+   * Poll the controller every animation frame
+   */
+  startPolling() {
+    if (this.pollId !== null || !AppState.browserSupport.requestAnimationFrame) return
+
+    this.lastPollTime = performance.now()
+    this.pollId = requestAnimationFrame((now) => this.poll(now))
+  }
+
+  /**
+   * Stop the polling loop
+   */
+  stopPolling() {
+    if (this.pollId !== null) {
+      cancelAnimationFrame(this.pollId)
+      this.pollId = null
+    }
+  }
+
+  /**
+   * Read the controller once and act on it
+   */
+  poll(now) {
+    this.pollId = null
+
+    const gamepad = this.getGamepad() || this.findGamepad()
+    if (!gamepad) {
+      this.releaseInput()
+      return
+    }
+
+    // Normalize to 60fps like the keyboard loop (capped so a stalled tab does not jump)
+    const frameMultiplier = Math.min((now - this.lastPollTime) / 16.67, 4)
+    this.lastPollTime = now
+
+    // Followers see the presenter's lens
+    if (this.state.isLoaded && this.isGamepadTarget() && !this.viewer.syncManager.isFollowing()) {
+      this.handleButtons(gamepad)
+      this.handleTriggers(gamepad, frameMultiplier)
+      this.handleSteering(gamepad)
+    } else {
+      this.releaseInput()
+    }
+
+    this.pollId = requestAnimationFrame((time) => this.poll(time))
+  }
+
+  /**
+   * The controller drives the focused viewer, or the first viewer when none has focus
+   */
+  isGamepadTarget() {
+    const activeElement = document.activeElement
+    const focusedViewer = activeElement && activeElement.closest && activeElement.closest("binocular-viewer")
+
+    return focusedViewer ? focusedViewer === this.viewer : document.querySelector("binocular-viewer") === this.viewer
+  }
+
+  /**
+   * Check whether a button is held
+   */
+  isPressed(gamepad, index) {
+    const button = gamepad.buttons[index]
+    return Boolean(button && button.pressed)
+  }
+
+  /**
+   * Act on buttons that went down since the last poll
+   */
+  handleButtons(gamepad) {
+    const previous = this.previousButtons
+    const pressed = gamepad.buttons.map((button) => button.pressed)
+    const justPressed = (index) => pressed[index] && !previous[index]
+    this.previousButtons = pressed
+
+    const { hotspotManager, tourManager, recordingManager, deepLinkManager } = this.viewer
+
+    if (justPressed(GamepadButtons.a)) {
+      hotspotManager.openActive()
+      deepLinkManager.commit()
+    }
+
+    if (justPressed(GamepadButtons.b)) {
+      if (hotspotManager.isPanelOpen()) {
+        hotspotManager.closePanel()
+      } else {
+        tourManager.stop()
+        recordingManager.release()
+      }
+    }
+
+    if (justPressed(GamepadButtons.y)) {
+      this.resetToCentre()
+    }
+
+    if (justPressed(GamepadButtons.leftBumper)) {
+      this.goToPointOfInterest(-1)
+    }
+
+    if (justPressed(GamepadButtons.rightBumper)) {
+      this.goToPointOfInterest(1)
+    }
+
+    if (justPressed(GamepadButtons.start) && tourManager.hasTour()) {
+      tourManager.togglePlay()
+    }
+  }
+
+  /**
+   * Zoom with the triggers (right in, left out), or resize the lens while X is held
+   */
+  handleTriggers(gamepad, frameMultiplier) {
+    const triggerValue = (index) => (gamepad.buttons[index] ? gamepad.buttons[index].value : 0)
+    const amount = triggerValue(GamepadButtons.rightTrigger) - triggerValue(GamepadButtons.leftTrigger)
+
+    if (Math.abs(amount) < this.triggerThreshold) {
+      if (this.isZooming) {
+        this.isZooming = false
+        this.viewer.deepLinkManager.commit()
+      }
+      return
+    }
+
+    this.isZooming = true
+    this.viewer.tourManager.stop()
+    this.viewer.recordingManager.release()
+
+    if (this.isPressed(gamepad, GamepadButtons.x)) {
+      this.viewer.setLensRadius(this.state.viewport.radius * Math.exp(amount * this.resizeRate * frameMultiplier))
+    } else {
+      this.viewer.viewportController.zoomBy(Math.exp(amount * this.zoomRate * frameMultiplier))
+    }
+  }
+
+  /**
+   * Feed the left stick and d-pad into the shared movement loop
+   */
+  handleSteering(gamepad) {
+    this.direction = this.readDirection(gamepad)
+    const isSteering = this.direction.x !== 0 || this.direction.y !== 0
+
+    if (isSteering) {
+      this.viewer.tourManager.stop()
+      this.viewer.recordingManager.release()
+      this.state.input.activeSource = "gamepad" // Like the keyboard, the controller takes priority over the pointer
+      this.viewer.startKeyboardMovement()
+    } else if (this.isSteering) {
+      // Stick released: record the view, like releasing the arrow keys
+      this.viewer.deepLinkManager.commit()
+    }
+
+    this.isSteering = isSteering
+  }
+
+  /**
+   * Read the steering direction: the left stick past its dead zone, or the d-pad (at most 1 long)
+   */
+  readDirection(gamepad) {
+    let x = gamepad.axes[0] || 0
+    let y = gamepad.axes[1] || 0
+
+    // Radial dead zone, rescaled so movement starts from zero at its edge
+    const magnitude = Math.hypot(x, y)
+    if (magnitude < this.deadZone) {
+      x = 0
+      y = 0
+    } else {
+      const scale = Math.min(1, (magnitude - this.deadZone) / (1 - this.deadZone)) / magnitude
+      x *= scale
+      y *= scale
+    }
+
+    if (this.isPressed(gamepad, GamepadButtons.dpadLeft)) x -= 1
+    if (this.isPressed(gamepad, GamepadButtons.dpadRight)) x += 1
+    if (this.isPressed(gamepad, GamepadButtons.dpadUp)) y -= 1
+    if (this.isPressed(gamepad, GamepadButtons.dpadDown)) y += 1
+
+    const length = Math.hypot(x, y)
+    return length > 1 ? { x: x / length, y: y / length } : { x, y }
+  }
+
+  /**
+   * Forget held input (controller unplugged or focus moved to another viewer)
+   */
+  releaseInput() {
+    this.direction = { x: 0, y: 0 }
+    this.isSteering = false
+    this.isZooming = false
+  }
+
+  /**
+   * Step through tour waypoints, or hotspots when there is no tour
+   */
+  goToPointOfInterest(step) {
+    const { tourManager, hotspotManager } = this.viewer
+
+    if (tourManager.hasTour()) {
+      if (step > 0) {
+        tourManager.next()
+      } else {
+        tourManager.previous()
+      }
+      return
+    }
+
+    hotspotManager.focusNext(step, this.resetDuration)
+  }
+
+  /**
+   * Animate the lens back to the centre of the image at 1x zoom
+   */
+  resetToCentre() {
+    const { naturalWidth, naturalHeight } = this.state.imageState
+    this.viewer.tourManager.stop()
+    this.viewer.recordingManager.release()
+
+    this.viewer.viewportController.animateTo(
+      { imageX: naturalWidth / 2, imageY: naturalHeight / 2, zoom: 1 },
+      this.resetDuration,
+      () => this.viewer.deepLinkManager.commit()
+    )
+  }
+}
+
+// Numbering for the element ids that link each viewer to its descriptions
+let describedViewerCount = 0
+
+// Names for keys that screen readers may not read out in the keyboard instructions
+const SPOKEN_KEY_NAMES = {
+  " ": "Space",
+  "+": "Plus",
+  "-": "Minus",
+  "=": "Equals",
+  ".": "Period",
+  ",": "Comma",
+  "<": "Less than",
+  ">": "Greater than",
+}
+
+/**
+ * DescriptionManager class to describe the image and the area under the lens to screen readers
+ *
+ * Gallery manifest entries can describe the whole image and regions of it, in image pixels:
+ * { "src": "roadmap.png", "description": "...", "regions": [{ "text": "Q3: launch", "rect": { "x": 0, "y": 0, "width": 100, "height": 50 } }] }
+ * Regions take a rect or a polygon, like hotspots. Once the lens settles, a polite
+ * live region announces the region under it, along with image loading, errors and
+ * retries. The viewer is a focusable application described by the image
+ * description and its keyboard shortcuts.
+ */
+class DescriptionManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    const id = `binocular-viewer-${++describedViewerCount}`
+    this.descriptionId = `${id}-description`
+    this.instructionsId = `${id}-instructions`
+
+    this.activeRegion = null // Region last announced under the lens
+
+    // Wait for the lens to settle so moving it does not flood the screen reader
+    this.scheduleUpdate = debounce(this.update.bind(this), 500)
+  }
+
+  /**
+   * Expose the viewer as an application described by the image and its keyboard shortcuts
+   */
+  attach() {
+    const { viewer } = this
+
+    if (!viewer.hasAttribute("role")) {
+      viewer.setAttribute("role", "application")
+    }
+    viewer.setAttribute("aria-roledescription", "binocular viewer")
+    viewer.setAttribute("aria-describedby", `${this.descriptionId} ${this.instructionsId}`)
+  }
+
+  /**
+   * Validate manifest regions, keeping those with text and a rect or polygon
+   */
+  parseRegions(regions) {
+    if (!Array.isArray(regions)) return []
+
+    return regions
+      .map((region, index) => {
+        const hasText = region && typeof region.text === "string" && region.text
+        const points = hasText && this.viewer.hotspotManager.getRegionPoints(region)
+        if (!points) {
+          console.warn(`Skipping description region ${index}: text and a rect or a polygon are required`)
+          return null
+        }
+
+        return { text: region.text, points }
+      })
+      .filter(Boolean)
+  }
+
+  /**
+   * Gallery entry for the image on screen, if it came from a manifest
+   */
+  getCurrentImage() {
+    const { galleryManager } = this.viewer
+    return galleryManager.images[galleryManager.currentIndex] || null
+  }
+
+  /**
+   * Announce the region under the lens centre when it changes
+   */
+  update() {
+    const { imageX, imageY } = this.state.viewport
+    const image = this.getCurrentImage()
+    if (!this.state.isLoaded || imageX === null || !image) return
+
+    const { hotspotManager } = this.viewer
+    const region = image.regions.find((candidate) => hotspotManager.containsPoint(candidate.points, imageX, imageY))
+    if ((region || null) === this.activeRegion) return
+
+    this.activeRegion = region || null
+    if (region) this.announce(region.text)
+  }
+
+  /**
+   * Describe a newly loaded image
+   */
+  handleImageLoad() {
+    this.activeRegion = null
+    this.updateDescription()
+
+    const image = this.getCurrentImage()
+    const title = image ? image.title : this.viewer.imageLoader.source.name
+    this.announce(image && image.description ? `${title} loaded. ${image.description}` : `${title} loaded`)
+  }
+
+  /**
+   * Show the manifest description of the current image to screen readers
+   */
+  updateDescription() {
+    const { imageDescription } = this.viewer
+    if (!imageDescription) return
+
+    const image = this.getCurrentImage()
+    imageDescription.textContent = image ? image.description : ""
+  }
+
+  /**
+   * List the keyboard shortcuts from the current key bindings
+   */
+  updateInstructions() {
+    const { keyboardInstructions } = this.viewer
+    if (!keyboardInstructions) return
+
+    const key = (action) => {
+      const keys = this.viewer.keyBindingManager.bindings[action]
+      return keys && keys.length ? this.formatKey(keys[0]) : null
+    }
+
+    const [up, down, left, right] = MOVEMENT_ACTIONS.map(key)
+    const sentences = [
+      up && down && left && right && `${up}, ${down}, ${left} and ${right} move the lens. Hold Shift to move faster or Alt for fine steps.`,
+      key("zoomIn") && key("zoomOut") && `${key("zoomIn")} and ${key("zoomOut")} zoom in and out.`,
+      key("growLens") && key("shrinkLens") && `${key("growLens")} and ${key("shrinkLens")} grow and shrink the lens.`,
+      key("centre") && `${key("centre")} centres the lens.`,
+      key("openHotspot") && `${key("openHotspot")} opens the annotation under the lens.`,
+      this.viewer.minimapManager.enabled && key("toggleMinimap") && `${key("toggleMinimap")} shows or hides the overview map.`,
+      "The area under the lens is described as it moves.",
+    ]
+
+    keyboardInstructions.textContent = sentences.filter(Boolean).join(" ")
+  }
+
+  /**
+   * Readable name for a key binding (a KeyboardEvent.code or a character)
+   */
+  formatKey(key) {
+    if (key.startsWith("Arrow")) return `${key.slice(5)} arrow`
+    if (/^(Key|Digit)\w$/.test(key)) return key.slice(-1)
+    if (key in SPOKEN_KEY_NAMES) return SPOKEN_KEY_NAMES[key]
+    if (key.length === 1) return key.toUpperCase()
+
+    // PageUp → Page Up, NumpadAdd → Numpad Add
+    return key.replace(/([a-z])([A-Z])/g, "$1 $2")
+  }
+
+  /**
+   * Have screen readers read a message once they finish speaking
+   */
+  announce(message) {
+    this.setLiveText(this.viewer.liveAnnouncer, message)
+  }
+
+  /**
+   * Have screen readers read a message straight away (errors)
+   */
+  alert(message) {
+    this.setLiveText(this.viewer.liveAlert, message)
+  }
+
+  /**
+   * Replace the text of a live region, clearing it first so a repeated message is read again
+   */
+  setLiveText(element, message) {
+    if (!element) return
+
+    element.textContent = ""
+    this.viewer.schedule(() => {
+      element.textContent = message
+    }, 100)
+  }
+}
+
+/**
+ * MinimapManager class for the overview map in the corner of the viewer (minimap attribute)
+ *
+ * The map shows the whole image with an outline of the area inside the lens.
+ * Clicking or dragging on it moves the lens there; with the map focused, the
+ * arrow keys move the lens (Shift for larger steps) and Home centres it. The map
+ * folds away behind its toggle button, and its size follows the device type.
+ */
+class MinimapManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.enabled = false
+    this.collapsed = false
+    this.mapScale = 0 // Map pixels per image pixel (see resize)
+    this.dragPointerId = null // Pointer dragging on the map
+
+    // Keyboard steps as a share of the image's longest side
+    this.keyboardStep = 0.05
+    this.fastKeyboardStep = 0.2 // With Shift held
+
+    // Smallest outline radius, so the lens stays visible on the map at high zoom
+    this.minOutlineRadius = 3
+  }
+
+  /**
+   * Show the minimap when the attribute is present ("collapsed" starts it folded away)
+   */
+  configure(value) {
+    this.enabled = value !== null
+    this.viewer.minimap.hidden = !this.enabled
+    this.setCollapsed(value === "collapsed")
+    this.viewer.descriptionManager.updateInstructions()
+  }
+
+  /**
+   * Fold the map away or bring it back, returning false when there is no minimap
+   */
+  toggle() {
+    if (!this.enabled) return false
+
+    this.setCollapsed(!this.collapsed)
+    return true
+  }
+
+  /**
+   * Show or hide the map behind the toggle button
+   */
+  setCollapsed(collapsed) {
+    const { minimapMap, minimapToggle } = this.viewer
+
+    this.collapsed = collapsed
+    minimapMap.hidden = collapsed
+    minimapToggle.setAttribute("aria-expanded", String(!collapsed))
+    minimapToggle.setAttribute("aria-label", collapsed ? "Show overview map" : "Hide overview map")
+
+    if (!collapsed) this.resize()
+  }
+
+  /**
+   * Show the loaded image on the map (tile pyramids use their most detailed single-tile level)
+   */
+  handleImageLoad() {
+    const { imageLoader, tileRenderer, minimapMap } = this.viewer
+    const url = imageLoader.currentImage
+      ? imageLoader.displayedUrl
+      : tileRenderer.tileSource && tileRenderer.tileSource.getThumbnailUrl()
+
+    minimapMap.style.backgroundImage = url ? `url("${url}")` : "none"
+    this.resize()
+  }
+
+  /**
+   * Fit the map to the image's aspect ratio within the size for the device
+   */
+  resize() {
+    const { naturalWidth, naturalHeight } = this.state.imageState
+    if (!this.enabled || !naturalWidth || !naturalHeight) return
+
+    const size = this.viewer.responsiveManager.getMinimapSize()
+    this.mapScale = size / Math.max(naturalWidth, naturalHeight)
+
+    const { minimapMap } = this.viewer
+    minimapMap.style.width = `${Math.round(naturalWidth * this.mapScale)}px`
+    minimapMap.style.height = `${Math.round(naturalHeight * this.mapScale)}px`
+
+    this.update()
+  }
+
+  /**
+   * Outline the area shown in the lens, in the lens shape
+   */
+  update() {
+    const { imageX, imageY, radius, zoom } = this.state.viewport
+    if (!this.enabled || this.collapsed || !this.mapScale || imageX === null) return
+
+    // Screen pixels per image pixel inside the lens, then image pixels to map pixels
+    const lensScale = this.viewer.viewportController.getImageLayout().scale * zoom
+    const outlineRadius = Math.max(this.minOutlineRadius, (radius / lensScale) * this.mapScale)
+
+    const shape = this.viewer.lensShapeManager.getShape()
+    this.viewer.minimapLens.setAttribute("d", shape.getPath(imageX * this.mapScale, imageY * this.mapScale, outlineRadius))
+  }
+
+  /**
+   * Start moving the lens with the primary button, a finger or a pen
+   */
+  handlePointerDown(event) {
+    if (!this.state.isLoaded || (event.pointerType === "mouse" && event.button !== 0)) return
+    if (this.viewer.syncManager.isFollowing()) return
+
+    // Taking the lens ends a tour and catches a gliding lens
+    if (this.viewer.tourManager.isActive) this.viewer.tourManager.stop()
+    this.viewer.momentumManager.stop()
+
+    this.dragPointerId = event.pointerId
+    try {
+      this.viewer.minimapMap.setPointerCapture(event.pointerId)
+    } catch (e) {
+      // The pointer is no longer active (lifted before the event was handled)
+    }
+
+    this.moveToClient(event.clientX, event.clientY)
+  }
+
+  /**
+   * Keep the lens under the dragging pointer
+   */
+  handlePointerMove(event) {
+    if (event.pointerId !== this.dragPointerId) return
+    this.moveToClient(event.clientX, event.clientY)
+  }
+
+  /**
+   * Finish a drag and remember the view in the shared link
+   */
+  handlePointerUp(event) {
+    if (event.pointerId !== this.dragPointerId) return
+
+    this.dragPointerId = null
+    this.viewer.deepLinkManager.commit()
+  }
+
+  /**
+   * Move the lens with the arrow keys (Shift for larger steps) and centre it with Home
+   */
+  handleKeyDown(event) {
+    if (!this.state.isLoaded || event.ctrlKey || event.metaKey || event.altKey) return
+    if (this.viewer.syncManager.isFollowing()) return
+
+    const { naturalWidth, naturalHeight } = this.state.imageState
+    const { imageX, imageY } = this.state.viewport
+    const step = (event.shiftKey ? this.fastKeyboardStep : this.keyboardStep) * Math.max(naturalWidth, naturalHeight)
+
+    switch (event.key) {
+      case "ArrowUp":
+        this.moveTo(imageX, imageY - step)
+        break
+      case "ArrowDown":
+        this.moveTo(imageX, imageY + step)
+        break
+      case "ArrowLeft":
+        this.moveTo(imageX - step, imageY)
+        break
+      case "ArrowRight":
+        this.moveTo(imageX + step, imageY)
+        break
+      case "Home":
+        this.moveTo(naturalWidth / 2, naturalHeight / 2)
+        break
+      default:
+        return
+    }
+
+    event.preventDefault()
+    this.viewer.deepLinkManager.commit()
+  }
+
+  /**
+   * Move the lens to the image point under a map position
+   */
+  moveToClient(clientX, clientY) {
+    const rect = this.viewer.minimapMap.getBoundingClientRect()
+    this.moveTo((clientX - rect.left) / this.mapScale, (clientY - rect.top) / this.mapScale)
+  }
+
+  /**
+   * Move the lens to image coordinates, kept on the image
+   */
+  moveTo(imageX, imageY) {
+    const { naturalWidth, naturalHeight } = this.state.imageState
+    const { viewportController } = this.viewer
+
+    const position = viewportController.imageToNormalized(
+      Math.max(0, Math.min(naturalWidth, imageX)),
+      Math.max(0, Math.min(naturalHeight, imageY)),
+    )
+    viewportController.updateViewportPosition(position.x, position.y, false)
+  }
+}
+
+// localStorage key prefix for coverage grids, followed by the image source
+const COVERAGE_STORAGE_PREFIX = "binocular-viewer:coverage:"
+
+/**
+ * CoverageManager class to record which parts of the image were looked at (coverage attribute)
+ *
+ * The image is divided into a grid of square cells, and every lens update credits
+ * the time since the previous one to the cells the lens covered meanwhile. A
+ * heatmap overlay shows the dwell time per cell together with the share of the
+ * image explored. Grids are kept per image in localStorage until cleared, and can
+ * be exported as JSON, CSV or a PNG heatmap.
+ */
+class CoverageManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.enabled = false
+    this.heatmapVisible = false
+
+    this.gridSize = 48 // Cells along the image's longest side
+    this.minDwell = 250 // Lens time in milliseconds before a cell counts as explored
+    this.maxSampleGap = 10000 // Longer pauses (user away) count only up to this (ms)
+    this.exportSize = 1024 // Longest side of the exported PNG in pixels
+
+    // { storageKey, columns, rows, cellSize, cells } with the dwell time in ms per cell, row by row
+    // (storageKey is null for images that are not kept, such as pasted ones)
+    this.grid = null
+
+    // Time of the last lens update and the cells the lens covered then
+    this.lastSample = null
+
+    this.renderTimer = null
+    this.scheduleSave = debounce(this.save.bind(this), 2000)
+  }
+
+  /**
+   * Start or stop recording ("heatmap" also shows the overlay)
+   */
+  configure(value) {
+    this.enabled = value !== null
+
+    if (this.enabled) {
+      if (!this.grid && this.state.imageState.naturalWidth) this.loadGrid()
+    } else {
+      this.flush()
+      this.save()
+      this.lastSample = null
+    }
+
+    this.setHeatmapVisible(this.enabled && value === "heatmap")
+  }
+
+  /**
+   * Switch to the grid of a newly loaded image
+   */
+  handleImageLoad() {
+    if (!this.enabled) return
+
+    this.flush()
+    this.save()
+    this.lastSample = null
+    this.loadGrid()
+    this.render()
+  }
+
+  /**
+   * Create the grid for the current image, restoring saved dwell times
+   */
+  loadGrid() {
+    const { naturalWidth, naturalHeight } = this.state.imageState
+    const storageId = this.viewer.imageLoader.getStorageId()
+
+    const cellSize = Math.max(naturalWidth, naturalHeight) / this.gridSize
+    const columns = Math.ceil(naturalWidth / cellSize)
+    const rows = Math.ceil(naturalHeight / cellSize)
+
+    // Pasted images cannot be recognised later, so their coverage is not kept
+    const storageKey = storageId && `${COVERAGE_STORAGE_PREFIX}${storageId}`
+
+    let cells = new Array(columns * rows).fill(0)
+    if (storageKey) {
+      try {
+        const saved = JSON.parse(localStorage.getItem(storageKey))
+        if (saved && saved.columns === columns && saved.rows === rows && Array.isArray(saved.cells)) {
+          cells = saved.cells.map((dwell) => (Number.isFinite(dwell) ? dwell : 0))
+        }
+      } catch (error) {
+        console.warn("Could not read saved exploration coverage:", error)
+      }
+    }
+
+    this.grid = { storageKey, columns, rows, cellSize, cells }
+  }
+
+  /**
+   * Record a lens update (called from updateViewportPosition)
+   */
+  sample() {
+    if (!this.enabled || !this.grid || !this.state.isLoaded) return
+
+    const now = performance.now()
+    this.flush(now)
+    this.lastSample = { time: now, cells: this.getCellsUnderLens() }
+  }
+
+  /**
+   * Credit the time since the last sample to the cells the lens covered then
+   */
+  flush(now = performance.now()) {
+    if (!this.lastSample || !this.grid) return
+
+    const elapsed = Math.min(this.maxSampleGap, now - this.lastSample.time)
+    this.lastSample.time = now
+    if (elapsed <= 0 || !this.lastSample.cells.length) return
+
+    for (const index of this.lastSample.cells) {
+      this.grid.cells[index] += elapsed
+    }
+
+    this.scheduleSave()
+    this.scheduleRender()
+  }
+
+  /**
+   * Stop the clock while the page is hidden, so time away is not counted
+   */
+  handleVisibilityChange() {
+    if (!document.hidden) return
+
+    this.flush()
+    this.save()
+    this.lastSample = null
+  }
+
+  /**
+   * Save what was recorded when the viewer leaves the page
+   */
+  detach() {
+    this.flush()
+    this.save()
+    this.lastSample = null
+    this.renderTimer = null // Cleared with the viewer's other timers
+  }
+
+  /**
+   * Indices of the grid cells whose centres lie inside the area shown in the lens
+   */
+  getCellsUnderLens() {
+    const { imageX, imageY, zoom } = this.state.viewport
+    if (imageX === null) return []
+
+    // Lens extent in image pixels (the lens shows the image magnified by zoom)
+    const extent = this.viewer.lensShapeManager.getExtent()
+    const lensScale = this.viewer.viewportController.getImageLayout().scale * zoom
+    const halfWidth = extent.halfWidth / lensScale
+    const halfHeight = extent.halfHeight / lensScale
+
+    const { columns, rows, cellSize } = this.grid
+    const clampColumn = (value) => Math.max(0, Math.min(columns - 1, Math.floor(value / cellSize)))
+    const clampRow = (value) => Math.max(0, Math.min(rows - 1, Math.floor(value / cellSize)))
+
+    const cells = []
+    for (let row = clampRow(imageY - halfHeight); row <= clampRow(imageY + halfHeight); row++) {
+      for (let column = clampColumn(imageX - halfWidth); column <= clampColumn(imageX + halfWidth); column++) {
+        const dx = ((column + 0.5) * cellSize - imageX) / halfWidth
+        const dy = ((row + 0.5) * cellSize - imageY) / halfHeight
+        if (dx * dx + dy * dy <= 1) cells.push(row * columns + column)
+      }
+    }
+
+    // A lens smaller than a cell still covers the cell it is in
+    if (!cells.length) cells.push(clampRow(imageY) * columns + clampColumn(imageX))
+
+    return cells
+  }
+
+  /**
+   * Share of the image explored, as a percentage of the cells looked at for at least minDwell
+   */
+  getExploredPercent() {
+    if (!this.grid) return 0
+
+    const explored = this.grid.cells.filter((dwell) => dwell >= this.minDwell).length
+    return (explored / this.grid.cells.length) * 100
+  }
+
+  /**
+   * Show or hide the heatmap overlay, returning false when coverage is not recorded
+   */
+  toggleHeatmap() {
+    if (!this.enabled) return false
+
+    this.setHeatmapVisible(!this.heatmapVisible)
+    return true
+  }
+
+  /**
+   * Show or hide the heatmap overlay and its controls
+   */
+  setHeatmapVisible(visible) {
+    const { coverageHeatmap, coverageControls } = this.viewer
+
+    this.heatmapVisible = visible
+    coverageHeatmap.hidden = !visible
+    coverageControls.hidden = !visible
+
+    if (visible) this.render()
+  }
+
+  /**
+   * Redraw the heatmap at most four times a second
+   */
+  scheduleRender() {
+    if (!this.heatmapVisible || this.renderTimer !== null) return
+
+    this.renderTimer = this.viewer.schedule(() => {
+      this.renderTimer = null
+      this.render()
+    }, 250)
+  }
+
+  /**
+   * Draw the heatmap over the displayed image and update the explored share
+   */
+  render() {
+    if (!this.heatmapVisible || !this.grid) return
+
+    const { coverageHeatmap, coverageControls } = this.viewer
+    const { columns, rows, cellSize } = this.grid
+
+    // One canvas pixel per cell, stretched smoothly over the image
+    coverageHeatmap.width = columns
+    coverageHeatmap.height = rows
+    this.drawCells(coverageHeatmap.getContext("2d"))
+
+    const layout = this.viewer.viewportController.getImageLayout()
+    coverageHeatmap.style.left = `${layout.offsetX}px`
+    coverageHeatmap.style.top = `${layout.offsetY}px`
+    coverageHeatmap.style.width = `${columns * cellSize * layout.scale}px`
+    coverageHeatmap.style.height = `${rows * cellSize * layout.scale}px`
+
+    coverageControls.querySelector(".coverage-explored").textContent =
+      `${Math.round(this.getExploredPercent())}% explored`
+  }
+
+  /**
+   * Paint one pixel per cell, from blue (brief looks) to red (longest dwell)
+   */
+  drawCells(context) {
+    const { columns, rows, cells } = this.grid
+    const maxDwell = Math.max(...cells)
+
+    context.clearRect(0, 0, columns, rows)
+    if (maxDwell <= 0) return
+
+    cells.forEach((dwell, index) => {
+      if (dwell <= 0) return
+
+      const share = dwell / maxDwell
+      context.fillStyle = `hsla(${Math.round((1 - share) * 240)}, 100%, 50%, ${0.35 + share * 0.5})`
+      context.fillRect(index % columns, Math.floor(index / columns), 1, 1)
+    })
+  }
+
+  /**
+   * Forget the dwell times recorded for the current image
+   */
+  clear() {
+    if (!this.grid) return
+
+    this.grid.cells.fill(0)
+    if (this.lastSample) this.lastSample.time = performance.now()
+
+    try {
+      if (this.grid.storageKey) localStorage.removeItem(this.grid.storageKey)
+    } catch (error) {
+      console.warn("Could not clear saved exploration coverage:", error)
+    }
+
+    this.render()
+  }
+
+  /**
+   * Keep the grid in localStorage
+   */
+  save() {
+    if (!this.grid || !this.grid.storageKey) return
+
+    const { storageKey, columns, rows, cells } = this.grid
+    try {
+      localStorage.setItem(storageKey, JSON.stringify({ columns, rows, cells: cells.map(Math.round) }))
+    } catch (error) {
+      console.warn("Could not save exploration coverage:", error)
+    }
+  }
+
+  /**
+   * Raw grid as JSON: cell size in image pixels and dwell times in ms, one array per row
+   */
+  exportJson() {
+    this.flush()
+    const { columns, rows, cellSize, cells } = this.grid
+    const { naturalWidth, naturalHeight } = this.state.imageState
+
+    return JSON.stringify(
+      {
+        image: this.viewer.imageLoader.source.name,
+        width: naturalWidth,
+        height: naturalHeight,
+        columns,
+        rows,
+        cellSize,
+        minDwell: this.minDwell,
+        explored: this.getExploredPercent(),
+        dwell: Array.from({ length: rows }, (_, row) => cells.slice(row * columns, (row + 1) * columns).map(Math.round)),
+      },
+      null,
+      2,
+    )
+  }
+
+  /**
+   * Raw grid as CSV, one line per cell with its rectangle in image pixels
+   */
+  exportCsv() {
+    this.flush()
+    const { columns, cellSize, cells } = this.grid
+
+    const lines = cells.map((dwell, index) => {
+      const column = index % columns
+      const row = Math.floor(index / columns)
+      return [row, column, Math.round(column * cellSize), Math.round(row * cellSize), Math.round(cellSize), Math.round(dwell)].join(",")
+    })
+
+    return ["row,column,x,y,size,dwell_ms", ...lines].join("\n")
+  }
+
+  /**
+   * Heatmap over a faded copy of the image, as a PNG blob
+   *
+   * Images from other origins without CORS headers cannot be read back from a
+   * canvas, so for those the heatmap is exported on its own.
+   */
+  exportPng() {
+    this.flush()
+    const { columns, rows, cellSize } = this.grid
+    const { naturalWidth, naturalHeight } = this.state.imageState
+    const scale = this.exportSize / Math.max(naturalWidth, naturalHeight)
+
+    const cellCanvas = document.createElement("canvas")
+    cellCanvas.width = columns
+    cellCanvas.height = rows
+    this.drawCells(cellCanvas.getContext("2d"))
+
+    // Each attempt paints a new canvas, as one that drew a cross-origin image stays unreadable
+    const paint = (image) => {
+      const canvas = document.createElement("canvas")
+      canvas.width = Math.round(naturalWidth * scale)
+      canvas.height = Math.round(naturalHeight * scale)
+      const context = canvas.getContext("2d")
+
+      context.fillStyle = "#000"
+      context.fillRect(0, 0, canvas.width, canvas.height)
+
+      if (image) {
+        context.globalAlpha = 0.5
+        context.drawImage(image, 0, 0, canvas.width, canvas.height)
+        context.globalAlpha = 1
+      }
+
+      context.imageSmoothingEnabled = true
+      context.drawImage(cellCanvas, 0, 0, columns * cellSize * scale, rows * cellSize * scale)
+      return canvas
+    }
+
+    return new Promise((resolve, reject) => {
+      const toBlob = (canvas) =>
+        canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error("PNG encoding failed"))), "image/png")
+
+      try {
+        toBlob(paint(this.viewer.imageLoader.currentImage))
+      } catch (error) {
+        console.warn("Image cannot be exported, exporting the heatmap alone:", error)
+        toBlob(paint(null))
+      }
+    })
+  }
+
+  /**
+   * Save the grid ("json" or "csv") or the heatmap ("png") as a file
+   */
+  async download(format) {
+    if (!this.grid) return
+
+    const blob =
+      format === "png"
+        ? await this.exportPng()
+        : new Blob([format === "csv" ? this.exportCsv() : this.exportJson()], {
+            type: format === "csv" ? "text/csv" : "application/json",
+          })
+
+    // Name the file after the image, e.g. strategy-coverage.csv
+    downloadBlob(blob, `${this.viewer.imageLoader.getBaseName()}-coverage.${format}`)
+  }
+}
+
+// Identifies exported lens recordings
+const RECORDING_FORMAT = "binocular-viewer-recording"
+
+/**
+ * RecordingManager class to record lens movement and replay it (recording attribute)
+ *
+ * A recording holds every position, radius and zoom the ViewportController
+ * commits, with its time, and the image switches. It exports to compact JSON:
+ * { "format": "binocular-viewer-recording", "version": 1, "duration": 8421,
+ *   "images": [[0, "strategy.png"]], "frames": [[0, 1000, 500, 120, 1], [16, 1004.5, 498, 120, 1]] }
+ * Frames are [ms, imageX, imageY, radius, zoom] with positions in image pixels;
+ * images are [ms, src], where src is null for local files. Replays interpolate
+ * between frames by elapsed time, so they keep the recorded pace at any frame
+ * rate, and steer the lens through the ViewportController like live input. As
+ * with a tour, user input pauses the replay and hands the lens back.
+ */
+class RecordingManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    // Recording
+    this.isRecording = false
+    this.recordStart = 0
+    this.recordedDuration = 0
+    this.frames = []
+    this.images = []
+    this.pendingFrame = null // Latest frame held back by minFrameInterval
+    this.minFrameInterval = 16 // Milliseconds between stored frames (about 60 per second)
+
+    // Replay
+    this.recording = null // Loaded recording: { duration, frames, images }
+    this.isReplaying = false // The replay is driving the lens
+    this.isPlaying = false // Replay time is advancing
+    this.position = 0 // Replay time in ms
+    this.speed = 1
+    this.waitingForImage = false // Paused until a switched image is ready
+    this.lastTickTime = 0
+    this.frameId = null
+    this.loadId = 0
+
+    // Frames further apart than this are a jump (click, minimap) rather than movement
+    this.maxInterpolationGap = 100
+  }
+
+  /**
+   * Start a new recording from the current view
+   */
+  start() {
+    if (!this.state.isLoaded) return false
+
+    this.close()
+    this.isRecording = true
+    this.recordStart = performance.now()
+    this.frames = []
+    this.pendingFrame = null
+    this.images = [[0, this.getImageSource()]]
+    this.capture()
+
+    this.viewer.recordingIndicator.hidden = false
+    this.viewer.descriptionManager.announce("Recording started")
+    console.log("Recording lens movement")
+    return true
+  }
+
+  /**
+   * Finish the recording and return it
+   */
+  stop() {
+    if (!this.isRecording) return null
+
+    if (this.pendingFrame) this.frames.push(this.pendingFrame)
+    this.pendingFrame = null
+    this.recordedDuration = Math.round(performance.now() - this.recordStart)
+    this.isRecording = false
+
+    this.viewer.recordingIndicator.hidden = true
+    this.viewer.descriptionManager.announce("Recording stopped")
+    console.log(`Recorded ${this.frames.length} frames over ${this.recordedDuration}ms`)
+    return this.getRecording()
+  }
+
+  /**
+   * The current or last recording in the export format
+   */
+  getRecording() {
+    const duration = this.isRecording ? Math.round(performance.now() - this.recordStart) : this.recordedDuration
+    const frames = this.pendingFrame ? [...this.frames, this.pendingFrame] : this.frames
+
+    return { format: RECORDING_FORMAT, version: 1, duration, images: this.images, frames }
+  }
+
+  /**
+   * The current or last recording as JSON
+   */
+  exportJson() {
+    return JSON.stringify(this.getRecording())
+  }
+
+  /**
+   * Save the current or last recording as a JSON file
+   */
+  download() {
+    const blob = new Blob([this.exportJson()], { type: "application/json" })
+    downloadBlob(blob, `${this.viewer.imageLoader.getBaseName()}-recording.json`)
+  }
+
+  /**
+   * Store the committed view (called from ViewportController.commitPosition)
+   */
+  capture() {
+    if (!this.isRecording) return
+
+    const { imageX, imageY, radius, zoom } = this.state.viewport
+    if (imageX === null) return
+
+    const round = (value, digits) => Math.round(value * digits) / digits
+    const time = Math.round(performance.now() - this.recordStart)
+    const frame = [time, round(imageX, 10), round(imageY, 10), round(radius, 10), round(zoom, 100)]
+
+    // An unchanged view adds nothing
+    const previous = this.pendingFrame || this.frames[this.frames.length - 1]
+    if (previous && frame.every((value, index) => index === 0 || value === previous[index])) return
+
+    // Updates faster than minFrameInterval keep only their latest frame
+    const last = this.frames[this.frames.length - 1]
+    if (last && time - last[0] < this.minFrameInterval) {
+      this.pendingFrame = frame
+      return
+    }
+
+    if (this.pendingFrame) this.frames.push(this.pendingFrame)
+    this.pendingFrame = null
+    this.frames.push(frame)
+  }
+
+  /**
+   * Record an image switch
+   */
+  handleImageLoad() {
+    if (!this.isRecording) return
+    this.images.push([Math.round(performance.now() - this.recordStart), this.getImageSource()])
+  }
+
+  /**
+   * Image source for recordings (local files cannot be loaded again, so they are null)
+   */
+  getImageSource() {
+    return this.viewer.imageLoader.getShareableUrl()
+  }
+
+  /**
+   * Load a recording for replay from a URL or an object
+   */
+  async load(source) {
+    const loadId = ++this.loadId
+    this.close()
+
+    try {
+      const data = typeof source === "string" ? await fetchJson(source) : source
+      if (loadId !== this.loadId) return
+
+      this.recording = this.parseRecording(data)
+      this.position = 0
+      console.log(`Recording loaded with ${this.recording.frames.length} frames`)
+    } catch (error) {
+      if (loadId !== this.loadId) return
+
+      console.error("Failed to load recording:", error)
+      this.recording = null
+      showUserError("The recording could not be loaded.")
+    }
+
+    this.updateControls()
+  }
+
+  /**
+   * Validate a recording, keeping complete frames and image switches in time order
+   */
+  parseRecording(data) {
+    if (!data || data.format !== RECORDING_FORMAT || !Array.isArray(data.frames)) {
+      throw new Error("Not a binocular viewer recording")
+    }
+
+    const byTime = (a, b) => a[0] - b[0]
+    const frames = data.frames
+      .filter((frame) => Array.isArray(frame) && frame.length >= 5 && frame.slice(0, 5).every(Number.isFinite))
+      .sort(byTime)
+    if (!frames.length) {
+      throw new Error("Recording has no frames")
+    }
+
+    const images = (Array.isArray(data.images) ? data.images : [])
+      .filter((image) => Array.isArray(image) && Number.isFinite(image[0]) && (typeof image[1] === "string" || image[1] === null))
+      .sort(byTime)
+
+    const lastFrameTime = frames[frames.length - 1][0]
+    const duration = Number.isFinite(data.duration) ? Math.max(data.duration, lastFrameTime) : lastFrameTime
+
+    return { duration, frames, images }
+  }
+
+  /**
+   * Start or resume the replay (from the beginning once it has ended)
+   */
+  play() {
+    if (!this.recording || this.isRecording || !this.state.isLoaded) return
+
+    if (this.position >= this.recording.duration) this.position = 0
+
+    this.takeControl()
+    this.isPlaying = true
+    this.lastTickTime = performance.now()
+    this.applyPosition()
+    this.requestTick()
+    this.updateControls()
+  }
+
+  /**
+   * Pause the replay, leaving the lens where it is
+   */
+  pause() {
+    this.isPlaying = false
+    this.cancelTick()
+    this.updateControls()
+  }
+
+  /**
+   * Toggle between play and pause
+   */
+  togglePlay() {
+    if (this.isPlaying) {
+      this.pause()
+    } else {
+      this.play()
+    }
+  }
+
+  /**
+   * Jump to a replay time in milliseconds
+   */
+  seek(time) {
+    if (!this.recording || this.isRecording || !this.state.isLoaded || !Number.isFinite(time)) return
+
+    this.position = Math.max(0, Math.min(this.recording.duration, time))
+    this.takeControl()
+    this.applyPosition()
+    this.updateControls()
+  }
+
+  /**
+   * Change the replay speed (1 is the recorded pace)
+   */
+  setSpeed(speed) {
+    if (!Number.isFinite(speed) || speed <= 0) {
+      console.warn(`Invalid replay speed: ${speed}`)
+      return
+    }
+
+    this.speed = speed
+    this.updateControls()
+  }
+
+  /**
+   * Take the lens from a tour, a glide or an animation
+   */
+  takeControl() {
+    if (this.isReplaying) return
+
+    this.viewer.tourManager.stop()
+    this.viewer.momentumManager.stop()
+    this.viewer.viewportController.cancelAnimation()
+    this.isReplaying = true
+  }
+
+  /**
+   * Advance the replay clock by the time since the last frame
+   */
+  tick(now) {
+    this.frameId = null
+    if (!this.isPlaying) return
+
+    if (!this.waitingForImage) {
+      this.position = Math.min(this.recording.duration, this.position + (now - this.lastTickTime) * this.speed)
+      this.applyPosition()
+    }
+    this.lastTickTime = now
+
+    if (this.position >= this.recording.duration) {
+      this.pause()
+      return
+    }
+
+    this.updateProgress()
+    this.requestTick()
+  }
+
+  /**
+   * Ask for the next tick (timers stand in where animation frames are unavailable)
+   */
+  requestTick() {
+    if (this.frameId !== null) return
+
+    if (AppState.browserSupport.requestAnimationFrame) {
+      this.frameId = requestAnimationFrame((now) => this.tick(now))
+    } else {
+      this.frameId = this.viewer.schedule(() => this.tick(performance.now()), 16)
+    }
+  }
+
+  /**
+   * Cancel a pending tick
+   */
+  cancelTick() {
+    if (this.frameId === null) return
+
+    if (AppState.browserSupport.requestAnimationFrame) {
+      cancelAnimationFrame(this.frameId)
+    } else {
+      this.viewer.unschedule(this.frameId)
+    }
+    this.frameId = null
+  }
+
+  /**
+   * Show the recorded view at the current replay time, switching images first when needed
+   */
+  applyPosition() {
+    const src = this.getImageAt(this.position)
+    if (src && src !== this.getImageSource()) {
+      // Continue once the image has loaded and the viewport is ready (see handleViewportInitialized)
+      this.waitingForImage = true
+      this.viewer.setAttribute("src", src)
+      return
+    }
+
+    const [, imageX, imageY, radius, zoom] = this.getFrameAt(this.position)
+    this.viewer.viewportController.showView(imageX, imageY, radius, zoom)
+  }
+
+  /**
+   * Image on screen at a replay time (null for local files or recordings without images)
+   */
+  getImageAt(time) {
+    let src = null
+    for (const [imageTime, imageSrc] of this.recording.images) {
+      if (imageTime > time) break
+      src = imageSrc
+    }
+    return src
+  }
+
+  /**
+   * Lens state at a replay time, interpolated between the frames around it
+   */
+  getFrameAt(time) {
+    const { frames } = this.recording
+
+    // Last frame at or before the time
+    let low = 0
+    let high = frames.length - 1
+    while (low < high) {
+      const middle = Math.ceil((low + high) / 2)
+      if (frames[middle][0] <= time) {
+        low = middle
+      } else {
+        high = middle - 1
+      }
+    }
+
+    const frame = frames[low]
+    const next = frames[low + 1]
+    if (!next || time <= frame[0] || next[0] - frame[0] > this.maxInterpolationGap) return frame
+
+    const progress = (time - frame[0]) / (next[0] - frame[0])
+    return frame.map((value, index) => value + (next[index] - value) * progress)
+  }
+
+  /**
+   * Resume a replay that was waiting for an image switch
+   */
+  handleViewportInitialized() {
+    if (!this.waitingForImage) return
+
+    this.waitingForImage = false
+    this.lastTickTime = performance.now()
+    this.applyPosition()
+  }
+
+  /**
+   * Stop waiting for an image that failed to load
+   */
+  handleImageError() {
+    if (!this.waitingForImage) return
+
+    this.waitingForImage = false
+    this.pause()
+  }
+
+  /**
+   * Pause on user input that does not come from the viewer controls and hand the lens back
+   */
+  interrupt(event) {
+    if (!this.isReplaying || this.viewer.isViewerControl(event.target)) return
+
+    // Browsers can fire pointermove without movement when the page changes under the pointer
+    if (event.type === "pointermove" && event.movementX === 0 && event.movementY === 0) return
+
+    this.release()
+  }
+
+  /**
+   * Hand the lens back to the user, keeping the current view and replay time
+   */
+  release() {
+    if (!this.isReplaying) return
+
+    this.isReplaying = false
+    this.waitingForImage = false
+    this.pause()
+
+    // Return to the radius the user had before the replay
+    this.viewer.viewportController.releaseView()
+  }
+
+  /**
+   * Hand the lens back and unload the recording
+   */
+  close() {
+    this.release()
+    this.recording = null
+    this.position = 0
+    this.updateControls()
+  }
+
+  /**
+   * Show the replay controls for a loaded recording
+   */
+  updateControls() {
+    const { replayControls } = this.viewer
+    if (!replayControls) return
+
+    replayControls.hidden = !this.recording
+    if (!this.recording) return
+
+    const playButton = replayControls.querySelector(".replay-play")
+    playButton.textContent = this.isPlaying ? "⏸" : "▶"
+    playButton.setAttribute("aria-label", this.isPlaying ? "Pause replay" : "Play replay")
+
+    replayControls.querySelector(".replay-seek").max = String(this.recording.duration)
+    replayControls.querySelector(".replay-speed").value = String(this.speed)
+    this.updateProgress()
+  }
+
+  /**
+   * Move the seek slider and time readout to the replay time
+   */
+  updateProgress() {
+    const { replayControls } = this.viewer
+    if (!replayControls || !this.recording) return
+
+    replayControls.querySelector(".replay-seek").value = String(Math.round(this.position))
+    replayControls.querySelector(".replay-time").textContent =
+      `${formatDuration(this.position)} / ${formatDuration(this.recording.duration)}`
+  }
+}
+
+/**
+ * Sync transport between tabs and windows of one browser, over a BroadcastChannel
+ */
+class BroadcastChannelTransport {
+  constructor(name) {
+    this.name = `binocular-viewer:sync:${name}`
+    this.channel = null
+  }
+
+  open({ onMessage, onStatus }) {
+    if (!window.BroadcastChannel) {
+      throw new Error("BroadcastChannel is not supported in this browser")
+    }
+
+    this.channel = new BroadcastChannel(this.name)
+    this.channel.onmessage = (event) => onMessage(event.data)
+    onStatus(true)
+  }
+
+  send(message) {
+    if (this.channel) this.channel.postMessage(message)
+  }
+
+  close() {
+    if (!this.channel) return
+
+    this.channel.close()
+    this.channel = null
+  }
+}
+
+/**
+ * Sync transport through a WebSocket relay (see sync-relay.js), reconnecting when the connection drops
+ */
+class WebSocketTransport {
+  constructor(url) {
+    this.url = url
+    this.socket = null
+    this.handlers = null
+
+    // Reconnection backoff in milliseconds, doubled per failed attempt
+    this.initialReconnectDelay = 1000
+    this.maxReconnectDelay = 15000
+    this.reconnectDelay = this.initialReconnectDelay
+    this.reconnectTimer = null
+  }
+
+  open(handlers) {
+    this.handlers = handlers
+    this.connect()
+  }
+
+  /**
+   * Open the socket, scheduling another attempt when it closes
+   */
+  connect() {
+    const socket = new WebSocket(this.url)
+    this.socket = socket
+
+    socket.onopen = () => {
+      this.reconnectDelay = this.initialReconnectDelay
+      this.handlers.onStatus(true)
+    }
+
+    socket.onmessage = (event) => {
+      let message
+      try {
+        message = JSON.parse(event.data)
+      } catch (error) {
+        console.warn("Ignoring invalid sync message:", error)
+        return
+      }
+      this.handlers.onMessage(message)
+    }
+
+    socket.onclose = () => {
+      if (this.socket !== socket) return // Closed on purpose
+
+      this.socket = null
+      this.handlers.onStatus(false)
+      console.warn(`Sync relay connection lost, retrying in ${this.reconnectDelay}ms`)
+
+      this.reconnectTimer = setTimeout(() => {
+        this.reconnectTimer = null
+        this.connect()
+      }, this.reconnectDelay)
+      this.reconnectDelay = Math.min(this.maxReconnectDelay, this.reconnectDelay * 2)
+    }
+  }
+
+  send(message) {
+    if (this.socket && this.socket.readyState === WebSocket.OPEN) {
+      this.socket.send(JSON.stringify(message))
+    }
+  }
+
+  close() {
+    clearTimeout(this.reconnectTimer)
+    this.reconnectTimer = null
+
+    const socket = this.socket
+    this.socket = null
+    if (socket) socket.close()
+  }
+}
+
+// Sync transport registry (see SyncManager.configure)
+const SyncTransports = {
+  broadcast: BroadcastChannelTransport,
+  websocket: WebSocketTransport,
+}
+
+// Sync roles: the presenter drives, followers show its view, free viewers explore on their own
+const SYNC_ROLES = ["presenter", "follower", "free"]
+
+/**
+ * SyncManager class to share one view between viewers (sync and sync-role attributes)
+ *
+ * The presenter sends its lens position, radius and zoom, and the image it shows,
+ * through a transport: BroadcastChannel for tabs on one machine or a WebSocket
+ * relay for a meeting. Positions and the radius travel in image pixels, so
+ * followers see the same part of the image at any screen size. Followers show
+ * the presenter's view slightly delayed, interpolated between messages to hide
+ * network jitter, and their own lens input is ignored. A follower can ask for
+ * control; when the presenter gives it, the roles swap. Any object with
+ * open({ onMessage, onStatus }), send(message) and close() can be a transport.
+ */
+class SyncManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    this.transport = null
+    this.connected = false
+    this.role = "follower"
+    this.peerId = Math.random().toString(36).slice(2, 10)
+
+    // Presenter: views are sent at most this often (ms), always ending on the latest one
+    this.sendInterval = 50
+    this.sendTimer = null
+
+    // Follower: received views are shown this far behind (ms) so there is always a next one to move towards
+    this.interpolationDelay = 120
+    this.presenterId = null
+    this.presenterClaim = null // The presenter's claim number, to settle contested claims
+    this.lastClaim = 0 // Highest claim number seen, so a new claim outranks every earlier one without comparing clocks
+    this.views = [] // Received views, oldest first
+    this.clockOffset = null // Local time minus presenter time, for the quickest message
+    this.isDriving = false // The presenter's view is on screen
+    this.frameId = null
+
+    // Presenter: a follower asking for control, forgotten after requestTimeout (ms)
+    this.pendingRequest = null
+    this.requestTimeout = 20000
+    this.requestTimer = null
+  }
+
+  /**
+   * Join a channel from the sync attribute: a ws:// or wss:// relay URL, or a name for tabs on this machine
+   */
+  configure(value) {
+    this.disconnect()
+    if (!value) return
+
+    const Transport = /^wss?:\/\//i.test(value) ? SyncTransports.websocket : SyncTransports.broadcast
+    this.connect(new Transport(value))
+  }
+
+  /**
+   * Start syncing through a transport
+   */
+  connect(transport) {
+    this.disconnect()
+    this.transport = transport
+
+    try {
+      transport.open({
+        onMessage: (message) => this.handleMessage(message),
+        onStatus: (connected) => this.handleStatus(connected),
+      })
+    } catch (error) {
+      console.warn("Could not start view sync:", error)
+      this.transport = null
+    }
+
+    this.updateControls()
+  }
+
+  /**
+   * Leave the channel, handing the lens back to the user
+   */
+  disconnect() {
+    if (this.transport) {
+      if (this.role === "presenter") this.send({ type: "leave" })
+      this.transport.close()
+      this.transport = null
+    }
+
+    this.connected = false
+    this.presenterId = null
+    this.stopFollowing()
+    this.clearRequest()
+    this.updateControls()
+  }
+
+  /**
+   * Catch up with the presenter, or announce the presentation, once connected
+   */
+  handleStatus(connected) {
+    this.connected = connected
+
+    if (connected) {
+      if (this.role === "presenter") {
+        this.announcePresenter()
+      } else {
+        this.send({ type: "hello" })
+      }
+    }
+
+    this.updateControls()
+  }
+
+  /**
+   * Switch between "presenter", "follower" and "free"
+   */
+  setRole(role) {
+    if (!SYNC_ROLES.includes(role)) {
+      console.warn(`Unknown sync role "${role}", available roles:`, SYNC_ROLES)
+      return false
+    }
+    if (role === this.role) return true
+
+    if (this.role === "presenter") this.send({ type: "leave" })
+    this.role = role
+    this.clearRequest()
+    this.stopFollowing()
+
+    if (role === "presenter") {
+      this.presenterId = this.peerId
+      this.presenterClaim = ++this.lastClaim
+      this.announcePresenter()
+    } else {
+      if (this.presenterId === this.peerId) this.presenterId = null
+      if (role === "follower") this.send({ type: "hello" })
+    }
+
+    console.log(`Sync role: ${role}`)
+    this.updateControls()
+    return true
+  }
+
+  /**
+   * Check whether the lens is following a presenter (user lens input is ignored then)
+   */
+  isFollowing() {
+    return this.role === "follower" && this.transport !== null && this.presenterId !== null
+  }
+
+  /**
+   * Check whether a presenter claim beats the current presenter's (higher claim number wins, then the higher peer id)
+   */
+  isNewerClaim(claim, peerId) {
+    if (this.presenterId === null || this.presenterClaim === null) return true
+    if (claim !== this.presenterClaim) return claim > this.presenterClaim
+    return peerId > this.presenterId
+  }
+
+  /**
+   * Send a message to the other viewers
+   */
+  send(message) {
+    if (!this.transport) return
+
+    try {
+      this.transport.send({ ...message, from: this.peerId })
+    } catch (error) {
+      console.warn("Could not send sync message:", error)
+    }
+  }
+
+  /**
+   * Tell the others who presents, then send the current image and view
+   */
+  announcePresenter() {
+    this.send({ type: "presenter", claim: this.presenterClaim })
+    this.sendImage()
+    this.sendView()
+  }
+
+  /**
+   * Send the presenter's view after a lens update (called from updateViewportPosition)
+   */
+  handleViewChange() {
+    if (this.role !== "presenter" || !this.transport || this.sendTimer !== null) return
+
+    this.sendTimer = this.viewer.schedule(() => {
+      this.sendTimer = null
+      this.sendView()
+    }, this.sendInterval)
+  }
+
+  /**
+   * Send the lens position and size in image pixels
+   */
+  sendView() {
+    const { imageX, imageY, radius, zoom } = this.state.viewport
+    const src = this.viewer.imageLoader.getShareableUrl()
+    if (!this.state.isLoaded || imageX === null || !src) return
+
+    const { scale } = this.viewer.viewportController.getImageLayout()
+    this.send({ type: "view", time: performance.now(), src, imageX, imageY, radius: radius / scale, zoom })
+  }
+
+  /**
+   * Send the image on screen (local files cannot be shared)
+   */
+  sendImage() {
+    const src = this.viewer.imageLoader.getShareableUrl()
+    if (src) this.send({ type: "image", src })
+  }
+
+  /**
+   * Tell followers about an image switch
+   */
+  handleImageLoad() {
+    if (this.role === "presenter") this.sendImage()
+  }
+
+  /**
+   * React to a message from another viewer
+   */
+  handleMessage(message) {
+    if (!message || typeof message.type !== "string" || message.from === this.peerId) return
+
+    switch (message.type) {
+      case "hello":
+        if (this.role === "presenter") this.announcePresenter()
+        break
+
+      case "presenter": {
+        // One presenter at a time: the newest one takes over
+        const claim = Number.isFinite(message.claim) ? message.claim : 0
+        this.lastClaim = Math.max(this.lastClaim, claim)
+        if (message.from !== this.presenterId && !this.isNewerClaim(claim, message.from)) {
+          // Viewers that became presenter together see each other's claims; the losing claim is answered
+          // so both settle on the same presenter
+          if (this.role === "presenter") this.announcePresenter()
+          break
+        }
+
+        if (this.role === "presenter") this.setRole("follower")
+        if (message.from !== this.presenterId) this.stopFollowing()
+        this.presenterId = message.from
+        this.presenterClaim = claim
+        this.updateControls()
+        break
+      }
+
+      case "leave":
+        if (message.from !== this.presenterId) return
+        this.presenterId = null
+        this.stopFollowing()
+        this.updateControls()
+        break
+
+      case "image":
+        if (this.role === "follower") this.followImage(message.src)
+        break
+
+      case "view":
+        if (this.role === "follower") this.receiveView(message)
+        break
+
+      case "request-control":
+        if (this.role === "presenter") this.receiveRequest(message.from)
+        break
+
+      case "grant-control":
+        if (message.to === this.peerId) this.setRole("presenter")
+        break
+    }
+  }
+
+  /**
+   * Ask the presenter for control
+   */
+  requestControl() {
+    if (this.role === "presenter") return
+
+    this.send({ type: "request-control" })
+    this.viewer.descriptionManager.announce("Asked the presenter for control")
+  }
+
+  /**
+   * Note a follower's request for control until it is granted or times out
+   */
+  receiveRequest(peerId) {
+    this.clearRequest()
+    this.pendingRequest = peerId
+    this.requestTimer = this.viewer.schedule(() => {
+      this.requestTimer = null
+      this.pendingRequest = null
+      this.updateControls()
+    }, this.requestTimeout)
+
+    this.viewer.descriptionManager.announce("A viewer asked for control")
+    this.updateControls()
+  }
+
+  /**
+   * Hand control to the viewer that asked for it and follow it
+   */
+  grantControl() {
+    if (this.role !== "presenter" || !this.pendingRequest) return
+
+    const peerId = this.pendingRequest
+    this.send({ type: "grant-control", to: peerId })
+    this.setRole("follower")
+  }
+
+  /**
+   * Forget a pending request for control
+   */
+  clearRequest() {
+    if (this.requestTimer !== null) {
+      this.viewer.unschedule(this.requestTimer)
+      this.requestTimer = null
+    }
+    this.pendingRequest = null
+  }
+
+  /**
+   * Show the presenter's image
+   */
+  followImage(src) {
+    if (typeof src !== "string" || !src || src === this.viewer.imageLoader.getShareableUrl()) return
+
+    this.views = []
+    this.viewer.setAttribute("src", src)
+  }
+
+  /**
+   * Queue a view from the presenter for interpolation
+   */
+  receiveView(message) {
+    const { time, imageX, imageY, radius, zoom } = message
+    if (![time, imageX, imageY, radius, zoom].every(Number.isFinite)) return
+
+    if (this.presenterId === null) {
+      this.presenterId = message.from
+      this.presenterClaim = null
+    }
+    if (message.from !== this.presenterId) return
+
+    // A view of another image switches to it first
+    if (message.src !== this.viewer.imageLoader.getShareableUrl()) {
+      this.followImage(message.src)
+      return
+    }
+
+    // Track the quickest delivery; creeping up 1 ms per message follows clock drift
+    const offset = performance.now() - time
+    this.clockOffset = this.clockOffset === null ? offset : Math.min(offset, this.clockOffset + 1)
+
+    const last = this.views[this.views.length - 1]
+    if (last && time <= last.time) return // Out of order
+
+    this.views.push({ time, imageX, imageY, radius, zoom })
+    if (this.views.length > 30) this.views.shift()
+
+    this.requestFrame()
+    this.updateControls()
+  }
+
+  /**
+   * Ask for the next follower frame (timers stand in where animation frames are unavailable)
+   */
+  requestFrame() {
+    if (this.frameId !== null) return
+
+    if (AppState.browserSupport.requestAnimationFrame) {
+      this.frameId = requestAnimationFrame((now) => this.renderFrame(now))
+    } else {
+      this.frameId = this.viewer.schedule(() => this.renderFrame(performance.now()), 16)
+    }
+  }
+
+  /**
+   * Cancel a pending follower frame
+   */
+  cancelFrame() {
+    if (this.frameId === null) return
+
+    if (AppState.browserSupport.requestAnimationFrame) {
+      cancelAnimationFrame(this.frameId)
+    } else {
+      this.viewer.unschedule(this.frameId)
+    }
+    this.frameId = null
+  }
+
+  /**
+   * Show the presenter's view as it was interpolationDelay ago, until the newest view is reached
+   */
+  renderFrame(now) {
+    this.frameId = null
+    if (!this.isFollowing() || !this.views.length) return
+
+    const time = now - this.clockOffset - this.interpolationDelay
+    this.showView(this.getViewAt(time))
+
+    if (time < this.views[this.views.length - 1].time) this.requestFrame()
+  }
+
+  /**
+   * Presenter view at a presenter time, interpolated between the views around it
+   */
+  getViewAt(time) {
+    const { views } = this
+
+    // Views older than the one before the time are no longer needed
+    while (views.length > 2 && views[1].time <= time) views.shift()
+
+    const [view, next] = views
+    if (!next || time <= view.time) return view
+    if (time >= next.time) return next
+
+    const progress = (time - view.time) / (next.time - view.time)
+    const interpolate = (name) => view[name] + (next[name] - view[name]) * progress
+    return {
+      imageX: interpolate("imageX"),
+      imageY: interpolate("imageY"),
+      radius: interpolate("radius"),
+      zoom: interpolate("zoom"),
+    }
+  }
+
+  /**
+   * Drive the lens to a presenter view, sized for this screen
+   */
+  showView(view) {
+    if (!this.state.isLoaded || this.state.imageState.isLoading) return
+
+    const { viewportController, responsiveManager } = this.viewer
+    const { min, max } = responsiveManager.getRadiusLimits()
+    const radius = Math.max(min, Math.min(max, view.radius * viewportController.getImageLayout().scale))
+
+    // The presenter takes the lens from a tour, a replay or a glide
+    if (!this.isDriving) {
+      this.viewer.tourManager.stop()
+      this.viewer.recordingManager.release()
+      this.viewer.momentumManager.stop()
+      this.isDriving = true
+    }
+
+    viewportController.showView(view.imageX, view.imageY, radius, view.zoom)
+  }
+
+  /**
+   * Show the latest view again once a followed image switch is ready
+   */
+  handleViewportInitialized() {
+    if (!this.isFollowing() || !this.views.length) return
+    this.showView(this.views[this.views.length - 1])
+  }
+
+  /**
+   * Stop showing the presenter's view and hand the lens back
+   */
+  stopFollowing() {
+    this.cancelFrame()
+    this.views = []
+    this.clockOffset = null
+
+    if (this.isDriving) {
+      this.isDriving = false
+      this.viewer.viewportController.releaseView()
+    }
+  }
+
+  /**
+   * Show the role, the connection and a pending request for control
+   */
+  updateControls() {
+    const { syncControls } = this.viewer
+    if (!syncControls) return
+
+    syncControls.hidden = !this.transport
+    if (!this.transport) return
+
+    const status = {
+      presenter: this.pendingRequest ? "Presenting · a viewer asks for control" : "Presenting",
+      follower: this.presenterId ? "Following the presenter" : "Waiting for a presenter",
+      free: "Exploring on your own",
+    }[this.role]
+
+    syncControls.querySelector(".sync-status").textContent = this.connected ? status : `${status} (offline)`
+    syncControls.querySelector(".sync-role").value = this.role
+    syncControls.querySelector(".sync-request").hidden = this.role === "presenter"
+    syncControls.querySelector(".sync-grant").hidden = this.role !== "presenter" || !this.pendingRequest
+  }
+}
+
+// localStorage key prefix for challenge high scores, followed by the challenge id
+const CHALLENGE_STORAGE_PREFIX = "binocular-viewer:challenge:"
+
+/**
+ * ChallengeManager class for the hidden-object game mode (challenge attribute)
+ *
+ * A challenge file names target regions in image pixels. The player is asked
+ * for one target at a time and finds it with the usual lens input: holding the
+ * lens still over the target for the dwell time counts as found, holding it
+ * still anywhere else counts as a miss. The results screen shows the score and
+ * the best scores for the challenge, which are kept in localStorage.
+ */
+class ChallengeManager {
+  constructor(viewer) {
+    this.viewer = viewer
+    this.state = viewer.state
+
+    // { id, title, description, image, dwell, targets: [{ id, name, hint, points }] }
+    this.challenge = null
+    this.loadId = 0
+
+    this.isPlaying = false
+    this.waitingForImage = false // Start once the challenge image is ready
+    this.targetIndex = 0
+    this.found = 0
+    this.misses = 0
+    this.startTime = 0
+    this.results = null // Last finished game, shown on the results screen
+
+    // Where the lens settled: { imageX, imageY }; a verdict is due dwellTimer later
+    this.dwell = null
+    this.dwellTimer = null
+    this.clockTimer = null
+
+    this.defaultDwell = 1000 // Milliseconds the lens must stay still for a verdict
+    this.dwellTolerance = 0.25 // Lens drift allowed while dwelling, as a share of the visible lens radius
+    this.hitRatio = 0.5 // Targets count when they reach this share of the visible lens from its centre
+    this.maxHighScores = 10
+
+    // Points per found target, lost per miss and per second taken
+    this.scoring = { found: 1000, miss: 100, second: 5 }
+  }
+
+  /**
+   * Load a challenge from a URL or an object and show its start screen
+   */
+  async load(source) {
+    const loadId = ++this.loadId
+    this.close()
+
+    try {
+      const data = typeof source === "string" ? await fetchJson(source) : source
+      if (loadId !== this.loadId) return
+
+      this.challenge = this.parseChallenge(data, typeof source === "string" ? source : null)
+      console.log(`Challenge loaded with ${this.challenge.targets.length} targets`)
+    } catch (error) {
+      if (loadId !== this.loadId) return
+
+      console.error("Failed to load challenge:", error)
+      this.challenge = null
+      showUserError("The challenge could not be loaded.")
+      return
+    }
+
+    // Targets are in the coordinates of the challenge image
+    const { image } = this.challenge
+    if (image && image !== this.viewer.imageLoader.getShareableUrl()) {
+      this.viewer.setAttribute("src", image)
+    }
+
+    this.results = null
+    this.showPanel()
+  }
+
+  /**
+   * Validate a challenge (an object with a targets array, or the array alone)
+   */
+  parseChallenge(data, url) {
+    const targets = Array.isArray(data) ? data : data && data.targets
+    if (!Array.isArray(targets)) {
+      throw new Error("A challenge must be an array of targets or an object with a targets array")
+    }
+
+    const { hotspotManager } = this.viewer
+    const parsed = targets
+      .map((target, index) => {
+        const points = target && hotspotManager.getRegionPoints(target)
+        if (!points || typeof target.name !== "string" || !target.name) {
+          console.warn(`Skipping challenge target ${index}: a name and a rect or polygon are required`)
+          return null
+        }
+
+        return {
+          id: target.id !== undefined ? String(target.id) : `target-${index}`,
+          name: target.name,
+          hint: typeof target.hint === "string" ? target.hint : "",
+          points,
+        }
+      })
+      .filter(Boolean)
+    if (!parsed.length) {
+      throw new Error("Challenge has no valid targets")
+    }
+
+    const options = Array.isArray(data) ? {} : data
+    const title = typeof options.title === "string" && options.title ? options.title : "Challenge"
+
+    return {
+      id: options.id !== undefined ? String(options.id) : url || title,
+      title,
+      description: typeof options.description === "string" ? options.description : "",
+      image: typeof options.image === "string" ? options.image : null,
+      dwell: Number.isFinite(options.dwell) && options.dwell > 0 ? options.dwell : this.defaultDwell,
+      targets: parsed,
+    }
+  }
+
+  /**
+   * Start a game from the first target with the lens back in the middle
+   */
+  start() {
+    if (!this.challenge) return false
+
+    if (!this.state.isLoaded || this.state.imageState.isLoading) {
+      // Continue once the image is ready (see handleViewportInitialized)
+      this.waitingForImage = true
+      return true
+    }
+
+    this.stopGame()
+    this.hidePanel()
+
+    // The game takes the lens from a tour or a replay
+    const { viewer } = this
+    viewer.tourManager.stop()
+    viewer.recordingManager.release()
+    viewer.momentumManager.stop()
+
+    const { x, y } = viewer.viewportController.applyBoundaryConstraints(0.5, 0.5)
+    viewer.viewportController.updateViewportPosition(x, y, false)
+
+    this.isPlaying = true
+    this.targetIndex = 0
+    this.found = 0
+    this.misses = 0
+    this.startTime = performance.now()
+    this.results = null
+
+    viewer.challengeHud.hidden = false
+    viewer.focus({ preventScroll: true })
+    this.promptTarget()
+    this.tickClock()
+
+    this.dispatch("challengestart", {})
+    return true
+  }
+
+  /**
+   * Ask for the current target
+   */
+  promptTarget() {
+    const target = this.challenge.targets[this.targetIndex]
+    const { challengeHud } = this.viewer
+
+    challengeHud.querySelector(".challenge-prompt").textContent = `Find: ${target.name}`
+    challengeHud.querySelector(".challenge-hint").textContent = target.hint
+    challengeHud.querySelector(".challenge-hint").hidden = !target.hint
+    this.updateHud()
+
+    // No verdict until the lens moves
+    this.settle()
+    this.viewer.descriptionManager.announce(`Find ${target.name}${target.hint ? `. Hint: ${target.hint}` : ""}`)
+  }
+
+  /**
+   * Follow the lens after it moved (called from updateViewportPosition)
+   */
+  update() {
+    if (!this.isPlaying || !this.state.isLoaded) return
+
+    const { imageX, imageY } = this.state.viewport
+    if (this.dwell && Math.hypot(imageX - this.dwell.imageX, imageY - this.dwell.imageY) <= this.getDwellTolerance()) {
+      return // Still holding (or already judged) this position
+    }
+
+    this.clearDwellTimer()
+    this.dwell = { imageX, imageY }
+    this.dwellTimer = this.viewer.schedule(() => {
+      this.dwellTimer = null
+      this.judge()
+    }, this.challenge.dwell)
+  }
+
+  /**
+   * Treat the current lens position as already judged, so only moving on starts a new dwell
+   */
+  settle() {
+    this.clearDwellTimer()
+
+    const { imageX, imageY } = this.state.viewport
+    this.dwell = imageX === null ? null : { imageX, imageY }
+  }
+
+  /**
+   * Cancel a pending verdict
+   */
+  clearDwellTimer() {
+    if (this.dwellTimer === null) return
+
+    this.viewer.unschedule(this.dwellTimer)
+    this.dwellTimer = null
+  }
+
+  /**
+   * The lens stayed still: the current target is found, or it is a miss
+   */
+  judge() {
+    if (!this.isPlaying) return
+
+    const target = this.challenge.targets[this.targetIndex]
+    if (this.isOnTarget(target)) {
+      this.found++
+      this.dispatch("challengefound", { id: target.id, name: target.name })
+      this.viewer.descriptionManager.announce(`Found ${target.name}`)
+      this.nextTarget()
+      return
+    }
+
+    this.misses++
+    this.updateHud()
+    this.flashHud("miss")
+    this.viewer.descriptionManager.announce(`Not here. Find ${target.name}`)
+  }
+
+  /**
+   * Give up on the current target
+   */
+  skip() {
+    if (!this.isPlaying) return
+
+    const target = this.challenge.targets[this.targetIndex]
+    this.dispatch("challengeskip", { id: target.id, name: target.name })
+    this.nextTarget()
+  }
+
+  /**
+   * Move on to the next target, or to the results after the last one
+   */
+  nextTarget() {
+    this.targetIndex++
+
+    if (this.targetIndex < this.challenge.targets.length) {
+      this.flashHud("found")
+      this.promptTarget()
+    } else {
+      this.finish()
+    }
+  }
+
+  /**
+   * Check whether the lens shows the target
+   *
+   * The target counts when it reaches the middle part of the visible lens area.
+   * The lens cannot be centred on targets at the image edges, so for them the
+   * closest position the boundary constraints allow counts as well.
+   */
+  isOnTarget(target) {
+    const { imageX, imageY, zoom } = this.state.viewport
+    const { viewportController, lensShapeManager, hotspotManager } = this.viewer
+
+    const { scale } = viewportController.getImageLayout()
+    const extent = lensShapeManager.getExtent()
+    const radiusX = (extent.halfWidth / zoom / scale) * this.hitRatio
+    const radiusY = (extent.halfHeight / zoom / scale) * this.hitRatio
+    if (hotspotManager.overlapsEllipse(target.points, imageX, imageY, radiusX, radiusY)) return true
+
+    const xs = target.points.map((point) => point[0])
+    const ys = target.points.map((point) => point[1])
+    const centre = viewportController.imageToNormalized(
+      (Math.min(...xs) + Math.max(...xs)) / 2,
+      (Math.min(...ys) + Math.max(...ys)) / 2
+    )
+    const constrained = viewportController.applyBoundaryConstraints(centre.x, centre.y)
+    const closest = viewportController.normalizedToImage(constrained.x, constrained.y)
+
+    return Math.hypot(closest.x - imageX, closest.y - imageY) <= this.getDwellTolerance()
+  }
+
+  /**
+   * Lens drift in image pixels that still counts as holding still
+   */
+  getDwellTolerance() {
+    const { scale } = this.viewer.viewportController.getImageLayout()
+    const extent = this.viewer.lensShapeManager.getExtent()
+    return (Math.min(extent.halfWidth, extent.halfHeight) / this.state.viewport.zoom / scale) * this.dwellTolerance
+  }
+
+  /**
+   * Score a finished game, keep it in the high scores and show the results screen
+   */
+  finish() {
+    const time = performance.now() - this.startTime
+    const total = this.challenge.targets.length
+    const { found, misses, scoring } = this
+    const score = Math.max(0, found * scoring.found - misses * scoring.miss - Math.floor(time / 1000) * scoring.second)
+
+    this.stopGame()
+    this.results = { score, found, total, misses, time: Math.round(time), date: new Date().toISOString() }
+    this.saveHighScore(this.results)
+
+    this.dispatch("challengecomplete", { ...this.results })
+    this.viewer.descriptionManager.announce(
+      `Challenge complete. Found ${found} of ${total} with ${misses} ${misses === 1 ? "miss" : "misses"} in ${formatDuration(time)}. Score ${score}`
+    )
+    this.showPanel()
+  }
+
+  /**
+   * End the game without a score
+   */
+  quit() {
+    if (!this.isPlaying) return
+
+    this.stopGame()
+    this.showPanel()
+  }
+
+  /**
+   * Stop the clock and the dwell detection and hide the game bar
+   */
+  stopGame() {
+    this.isPlaying = false
+    this.waitingForImage = false
+    this.clearDwellTimer()
+    this.dwell = null
+
+    if (this.clockTimer !== null) {
+      this.viewer.unschedule(this.clockTimer)
+      this.clockTimer = null
+    }
+
+    const { challengeHud } = this.viewer
+    if (challengeHud) challengeHud.hidden = true
+  }
+
+  /**
+   * Leave challenge mode altogether
+   */
+  close() {
+    this.stopGame()
+    this.hidePanel()
+  }
+
+  /**
+   * Refresh the clock every quarter second while playing
+   */
+  tickClock() {
+    this.clockTimer = null
+    if (!this.isPlaying) return
+
+    this.updateHud()
+    this.clockTimer = this.viewer.schedule(() => this.tickClock(), 250)
+  }
+
+  /**
+   * Show progress, time and misses in the game bar
+   */
+  updateHud() {
+    const { challengeHud } = this.viewer
+    if (!challengeHud || !this.isPlaying) return
+
+    challengeHud.querySelector(".challenge-progress").textContent = `${this.targetIndex + 1} / ${this.challenge.targets.length}`
+    challengeHud.querySelector(".challenge-time").textContent = formatDuration(performance.now() - this.startTime)
+    challengeHud.querySelector(".challenge-misses").textContent = `${this.misses} ${this.misses === 1 ? "miss" : "misses"}`
+  }
+
+  /**
+   * Briefly colour the game bar after a find or a miss
+   */
+  flashHud(result) {
+    const { challengeHud } = this.viewer
+    challengeHud.classList.remove("found", "miss")
+
+    // Restart the animation when the same result comes twice in a row
+    void challengeHud.offsetWidth
+    challengeHud.classList.add(result)
+  }
+
+  /**
+   * Show the start screen, or the results of the last game, with the high scores
+   */
+  showPanel() {
+    const { challengePanel } = this.viewer
+    if (!challengePanel || !this.challenge) return
+
+    const { title, description, targets } = this.challenge
+    const { results } = this
+    challengePanel.querySelector(".challenge-title").textContent = results ? `${title}: results` : title
+    challengePanel.setAttribute("aria-label", title)
+
+    let summary = description || `Find ${targets.length} ${targets.length === 1 ? "target" : "targets"} with the lens.`
+    if (results) {
+      const missText = `${results.misses} ${results.misses === 1 ? "miss" : "misses"}`
+      summary = `Found ${results.found} of ${results.total} in ${formatDuration(results.time)} with ${missText}. Score: ${results.score}`
+    } else {
+      summary += ` Hold the lens still over each target for ${this.challenge.dwell / 1000} s.`
+    }
+    challengePanel.querySelector(".challenge-summary").textContent = summary
+    challengePanel.querySelector(".challenge-start").textContent = results ? "Play again" : "Start"
+
+    this.renderHighScores()
+    challengePanel.hidden = false
+    challengePanel.focus({ preventScroll: true })
+  }
+
+  /**
+   * Hide the start and results screen
+   */
+  hidePanel() {
+    const { challengePanel } = this.viewer
+    if (!challengePanel || challengePanel.hidden) return
+
+    const hadFocus = challengePanel.contains(document.activeElement)
+    challengePanel.hidden = true
+
+    if (hadFocus) {
+      this.viewer.focus({ preventScroll: true })
+    }
+  }
+
+  /**
+   * Fill the high score table, marking the game just played
+   */
+  renderHighScores() {
+    const table = this.viewer.challengePanel.querySelector(".challenge-scores")
+    const body = table.querySelector("tbody")
+    const scores = this.getHighScores()
+
+    body.textContent = ""
+    table.hidden = scores.length === 0
+
+    scores.forEach((entry, index) => {
+      const row = document.createElement("tr")
+      const isLatest = this.results && entry.date === this.results.date
+      row.classList.toggle("latest", Boolean(isLatest))
+
+      const cells = [
+        index + 1,
+        entry.score,
+        `${entry.found} / ${entry.total}`,
+        formatDuration(entry.time),
+        entry.misses,
+        new Date(entry.date).toLocaleDateString(),
+      ]
+      for (const value of cells) {
+        const cell = document.createElement("td")
+        cell.textContent = String(value)
+        row.appendChild(cell)
+      }
+
+      body.appendChild(row)
+    })
+  }
+
+  /**
+   * Best scores for the loaded challenge, highest first (faster wins a tie)
+   */
+  getHighScores() {
+    if (!this.challenge) return []
+
+    try {
+      const saved = JSON.parse(localStorage.getItem(`${CHALLENGE_STORAGE_PREFIX}${this.challenge.id}`))
+      return Array.isArray(saved) ? saved.filter((entry) => entry && Number.isFinite(entry.score)) : []
+    } catch (error) {
+      console.warn("Could not read challenge high scores:", error)
+      return []
+    }
+  }
+
+  /**
+   * Add a game to the high scores, keeping the best maxHighScores
+   */
+  saveHighScore(results) {
+    const scores = [...this.getHighScores(), results]
+      .sort((a, b) => b.score - a.score || a.time - b.time)
+      .slice(0, this.maxHighScores)
+
+    try {
+      localStorage.setItem(`${CHALLENGE_STORAGE_PREFIX}${this.challenge.id}`, JSON.stringify(scores))
+    } catch (error) {
+      console.warn("Could not save challenge high scores:", error)
+    }
+  }
+
+  /**
+   * Forget the high scores of the loaded challenge
+   */
+  clearHighScores() {
+    if (!this.challenge) return
+
+    try {
+      localStorage.removeItem(`${CHALLENGE_STORAGE_PREFIX}${this.challenge.id}`)
+    } catch (error) {
+      console.warn("Could not clear challenge high scores:", error)
+    }
+
+    if (!this.viewer.challengePanel.hidden) this.renderHighScores()
+  }
+
+  /**
+   * Another image invalidates the target regions, so a running game ends
+   */
+  handleImageLoad() {
+    if (this.isPlaying) this.quit()
+  }
+
+  /**
+   * Start a game that was waiting for the challenge image
+   */
+  handleViewportInitialized() {
+    if (!this.waitingForImage) return
+
+    this.waitingForImage = false
+    this.start()
+  }
+
+  /**
+   * Fire a challenge event on the viewer element
+   */
+  dispatch(type, detail) {
+    this.viewer.dispatchEvent(new CustomEvent(type, { bubbles: true, detail: { challenge: this.challenge.id, ...detail } }))
+  }
+}
+
+// Create page-wide instances
+const browserCompatibility = new BrowserCompatibility()
+
+/**
+ * <binocular-viewer> custom element
+ *
+ * Each element owns its state, DOM and controllers, so several viewers can be
+ * embedded in one page. The supported attributes are documented in the
+ * README's "Embedding" section; those that can change after the viewer is
+ * rendered are listed in observedAttributes.
+ */
+class BinocularViewer extends HTMLElement {
+  static get observedAttributes() {
+    return [
+      "src",
+      "radius",
+      "zoom",
+      "shape",
+      "surround",
+      "surround-dim",
+      "momentum",
+      "touch-mode",
+      "touch-offset",
+      "pen-pressure",
+      "tour",
+      "hotspots",
+      "manifest",
+      "renderer",
+      "optics",
+      "minimap",
+      "coverage",
+      "recording",
+      "sync",
+      "sync-role",
+      "challenge",
+    ]
+  }
+
+  constructor() {
+    super()
+
+    // Per-instance application state
+    this.state = createViewerState()
+
+    // DOM elements (created in render)
+    this.binocularContainer = null
+    this.backgroundImage = null
+    this.viewportMask = null
+    this.viewportLens = null
+    this.viewportLensImage = null
+    this.lensReticle = null
+    this.lensRim = null
+    this.loadingIndicator = null
+    this.touchInstructions = null
+    this.tourCaption = null
+    this.tourControls = null
+    this.hotspotCallout = null
+    this.hotspotPanel = null
+    this.imageControls = null
+    this.galleryStrip = null
+    this.imageDescription = null
+    this.keyboardInstructions = null
+    this.liveAnnouncer = null
+    this.liveAlert = null
+    this.minimap = null
+    this.minimapToggle = null
+    this.minimapMap = null
+    this.minimapLens = null
+    this.coverageHeatmap = null
+    this.coverageControls = null
+    this.replayControls = null
+    this.recordingIndicator = null
+    this.syncControls = null
+    this.challengeHud = null
+    this.challengePanel = null
+
+    // Controllers
+    this.imageLoader = new ImageLoader(this)
+    this.viewportController = new ViewportController(this)
+    this.lensShapeManager = new LensShapeManager(this)
+    this.surroundManager = new SurroundManager(this)
+    this.responsiveManager = new ResponsiveManager(this)
+    this.preferenceManager = new PreferenceManager(this)
+    this.touchGestureManager = new TouchGestureManager(this)
+    this.momentumManager = new MomentumManager(this)
+    this.penManager = new PenManager(this)
+    this.deepLinkManager = new DeepLinkManager(this)
+    this.tourManager = new TourManager(this)
+    this.hotspotManager = new HotspotManager(this)
+    this.tileRenderer = new TiledImageRenderer(this)
+    this.lensRenderer = new CssLensRenderer(this) // Replaced in init (see setLensRenderer)
+    this.galleryManager = new GalleryManager(this)
+    this.gamepadManager = new GamepadManager(this)
+    this.keyBindingManager = new KeyBindingManager(this)
+    this.descriptionManager = new DescriptionManager(this)
+    this.minimapManager = new MinimapManager(this)
+    this.coverageManager = new CoverageManager(this)
+    this.recordingManager = new RecordingManager(this)
+    this.syncManager = new SyncManager(this)
+    this.challengeManager = new ChallengeManager(this)
+
+    // Listener, observer and timer bookkeeping for cleanup on disconnect
+    this.listenerController = null
+    this.resizeObserver = null
+    this.timers = new Set()
+    this.touchHintTimer = null
+    this.pointerDrag = null // Start of the current single-pointer drag
+
+    // Per-instance throttled and debounced handlers
+    this.applyPointerMove = throttle(this.applyPointerMove.bind(this), 6) // ~166fps for mouse, touch and pen alike
+    this.handleResize = debounce(this.handleResize.bind(this), 100) // Debounce resize events to avoid excessive calculations
+  }
+
+  /**
+   * Element added to the page
+   */
+  connectedCallback() {
+    this.init()
+  }
+
+  /**
+   * Element removed from the page
+   */
+  disconnectedCallback() {
+    this.destroy()
+  }
+
+  /**
+   * React to attribute changes after the viewer has been rendered
+   */
+  attributeChangedCallback(name, oldValue, newValue) {
+    // Initial attribute values are read in init()
+    if (oldValue === newValue || !this.binocularContainer) return
+
+    switch (name) {
+      case "src":
+        this.imageLoader.setImageUrl(newValue)
+        this.state.imageState.retryCount = 0
+
+        // A detached viewer reloads when it is attached again
+        if (this.isConnected) {
+          this.imageLoader.loadImage()
+        } else {
+          this.state.isLoaded = false
+        }
+        break
+
+      case "radius":
+        // A new radius attribute (e.g. from a deep link) replaces the user's pick
+        this.responsiveManager.setUserRadius(null)
+
+        if (this.state.isLoaded) {
+          this.calculateViewportRadius()
+          this.viewportController.updateViewportPosition(this.state.viewport.x, this.state.viewport.y, false)
+        }
+        break
+
+      case "zoom":
+        this.applyZoomAttribute()
+        break
+
+      case "shape":
+        this.lensShapeManager.setShape(newValue || this.lensShapeManager.defaultShape)
+        break
+
+      case "tour":
+        this.tourManager.load(newValue)
+        break
+
+      case "hotspots":
+        this.hotspotManager.load(newValue)
+        break
+
+      case "manifest":
+        this.galleryManager.load(newValue)
+        break
+
+      case "surround":
+        this.surroundManager.setMode(newValue || this.surroundManager.defaultMode)
+        break
+
+      case "surround-dim":
+        this.surroundManager.setDim(this.parseSurroundDim(newValue))
+        break
+
+      case "touch-mode":
+        this.responsiveManager.setTouchMode(newValue)
+        break
+
+      case "touch-offset":
+        this.responsiveManager.touchOffset = this.parseTouchOffset(newValue)
+        break
+
+      case "pen-pressure":
+        this.penManager.setPressureMode(newValue || "radius")
+        break
+
+      case "momentum":
+        this.momentumManager.setMode(newValue || "bounce")
+        break
+
+      case "renderer":
+        this.setLensRenderer(browserCompatibility.selectLensRenderer(newValue))
+        break
+
+      case "optics":
+        this.state.optics = parseOptics(newValue)
+        this.updateViewportPosition()
+        break
+
+      case "minimap":
+        this.minimapManager.configure(newValue)
+        break
+
+      case "coverage":
+        this.coverageManager.configure(newValue)
+        break
+
+      case "recording":
+        if (newValue) {
+          this.recordingManager.load(newValue)
+        } else {
+          this.recordingManager.close()
+        }
+        break
+
+      case "sync":
+        this.syncManager.configure(newValue)
+        break
+
+      case "sync-role":
+        this.syncManager.setRole(newValue || "follower")
+        break
+
+      case "challenge":
+        if (newValue) {
+          this.challengeManager.load(newValue)
+        } else {
+          this.challengeManager.close()
+        }
+        break
+    }
+  }
+
+  /**
+   * Initialize the viewer with comprehensive error handling
+   */
+  init() {
+    console.log("Initializing Binocular Viewer with error handling and browser compatibility...")
+
+    try {
+      // Read a shared view from the URL before anything is loaded (first connection only)
+      if (!this.binocularContainer) {
+        this.deepLinkManager.applyInitialState()
+      }
+
+      // Create the viewer DOM and get element references
+      this.render()
+
+      if (!this.binocularContainer || !this.backgroundImage || !this.viewportMask) {
+        throw new Error("Required DOM elements not found")
+      }
+
+      // Apply browser compatibility fallbacks (once per page)
+      browserCompatibility.applyFallbacks()
+
+      // Pick the lens renderer (renderer attribute) and its optics (optics attribute)
+      this.state.optics = parseOptics(this.getAttribute("optics"))
+      this.setLensRenderer(browserCompatibility.selectLensRenderer(this.getAttribute("renderer")))
+
+      // Apply the configured lens shape (shape attribute)
+      this.lensShapeManager.setShape(this.getAttribute("shape") || this.lensShapeManager.defaultShape)
+
+      // Single-finger touch mode (touch-mode and touch-offset attributes)
+      this.responsiveManager.setTouchMode(this.getAttribute("touch-mode"))
+      this.responsiveManager.touchOffset = this.parseTouchOffset(this.getAttribute("touch-offset"))
+
+      // What pen pressure changes (pen-pressure attribute)
+      this.penManager.setPressureMode(this.getAttribute("pen-pressure") || "radius")
+
+      // Momentum after a flick (momentum attribute; mouse-momentum adds mouse drag-and-release)
+      this.momentumManager.setMode(this.getAttribute("momentum") || "bounce")
+      this.momentumManager.mouseEnabled = this.hasAttribute("mouse-momentum")
+
+      // Overview map (minimap attribute; "collapsed" starts it folded away)
+      this.minimapManager.configure(this.getAttribute("minimap"))
+
+      // Exploration coverage (coverage attribute; "heatmap" also shows the overlay)
+      this.coverageManager.configure(this.getAttribute("coverage"))
+
+      // Key bindings: defaults, key-bindings attribute, then the user's saved bindings
+      this.keyBindingManager.load(this.getAttribute("key-bindings"))
+      this.descriptionManager.updateInstructions()
+
+      // Apply the area-outside-the-lens treatment (surround and surround-dim attributes)
+      this.surroundManager.dim = this.parseSurroundDim(this.getAttribute("surround-dim"))
+      this.surroundManager.setMode(this.getAttribute("surround") || this.surroundManager.defaultMode)
+
+      // Set up initial state
+      this.updateContainerDimensions()
+      this.responsiveManager.updateResponsiveState()
+
+      // Set up event listeners with error handling
+      this.setupEventListeners()
+
+      // Shared view between viewers (sync and sync-role attributes)
+      this.syncManager.setRole(this.getAttribute("sync-role") || "follower")
+      this.syncManager.configure(this.getAttribute("sync"))
+
+      if (this.state.isLoaded) {
+        // Re-attached after a move in the DOM: refresh the layout instead of reloading
+        this.calculateViewportRadius()
+        this.viewportController.restoreImagePosition()
+        this.updateViewportPosition()
+        this.imageLoader.hideLoadingIndicator()
+      } else {
+        // Start image loading process
+        this.imageLoader.setImageUrl(this.getAttribute("src"))
+        this.imageLoader.loadImage()
+
+        // Load the guided tour script and hotspot annotations, if any
+        if (this.hasAttribute("tour")) {
+          this.tourManager.load(this.getAttribute("tour"))
+        }
+        if (this.hasAttribute("hotspots")) {
+          this.hotspotManager.load(this.getAttribute("hotspots"))
+        }
+        if (this.hasAttribute("manifest")) {
+          this.galleryManager.load(this.getAttribute("manifest"))
+        }
+        if (this.hasAttribute("recording")) {
+          this.recordingManager.load(this.getAttribute("recording"))
+        }
+        if (this.hasAttribute("challenge")) {
+          this.challengeManager.load(this.getAttribute("challenge"))
+        }
+      }
+
+      // Show touch instructions on mobile devices
+      this.showTouchInstructions()
+
+      // Take keyboard focus when requested (e.g. the full-page viewer)
+      if (this.hasAttribute("autofocus")) {
+        this.focus({ preventScroll: true })
+      }
+
+      console.log("Binocular Viewer initialization completed")
+    } catch (error) {
+      console.error("Failed to initialize Binocular Viewer:", error)
+      this.handleInitializationError(error)
+    }
+  }
+
+  /**
+   * Create the viewer DOM inside the element (light DOM so styles.css applies)
+   */
+  render() {
+    if (!this.binocularContainer) {
+      this.innerHTML = `
+        <div class="binocular-container" data-lens-shape="circle">
+          <div class="background-image" aria-hidden="true"></div>
+          <div class="viewport-lens" aria-hidden="true">
+            <div class="viewport-lens-image"></div>
+          </div>
+          <div class="viewport-mask" aria-hidden="true"></div>
+          <svg class="lens-rim-layer" aria-hidden="true" focusable="false">
+            <path class="lens-rim" d=""></path>
+          </svg>
+          <svg class="viewport-overlay" aria-hidden="true" focusable="false">
+            <path class="lens-reticle" d=""></path>
+          </svg>
+          <canvas class="coverage-heatmap" aria-hidden="true" hidden></canvas>
+        </div>
+        <div class="loading-indicator">
+          <p>Loading binocular viewer...</p>
+        </div>
+        <div class="touch-instructions initial">Touch and drag to explore • Pinch to resize • Use arrow keys or WASD</div>
+        <div class="tour-caption" aria-live="polite" hidden></div>
+        <div class="tour-controls" role="group" aria-label="Guided tour" hidden>
+          <button type="button" class="tour-previous" aria-label="Previous stop">⏮</button>
+          <button type="button" class="tour-play" aria-label="Play tour">▶</button>
+          <button type="button" class="tour-next" aria-label="Next stop">⏭</button>
+          <span class="tour-progress"></span>
+        </div>
+        <div class="image-controls" hidden>
+          <button type="button" class="open-image-button">Open image…</button>
+          <input type="file" class="open-image-input" accept="image/*" hidden>
+        </div>
+        <div class="coverage-controls" role="group" aria-label="Exploration coverage" hidden>
+          <span class="coverage-explored"></span>
+          <button type="button" data-export="json" aria-label="Export coverage as JSON">JSON</button>
+          <button type="button" data-export="csv" aria-label="Export coverage as CSV">CSV</button>
+          <button type="button" data-export="png" aria-label="Export heatmap as PNG">PNG</button>
+          <button type="button" class="coverage-clear">Clear</button>
+          <button type="button" class="coverage-close" aria-label="Hide heatmap">×</button>
+        </div>
+        <div class="replay-controls" role="group" aria-label="Recording replay" hidden>
+          <button type="button" class="replay-play" aria-label="Play replay">▶</button>
+          <input type="range" class="replay-seek" min="0" max="0" step="10" value="0" aria-label="Replay position">
+          <span class="replay-time"></span>
+          <select class="replay-speed" aria-label="Replay speed">
+            <option value="0.5">0.5×</option>
+            <option value="1">1×</option>
+            <option value="2">2×</option>
+            <option value="4">4×</option>
+          </select>
+          <button type="button" class="replay-close" aria-label="Close replay">×</button>
+        </div>
+        <div class="recording-indicator" hidden>● Rec</div>
+        <div class="sync-controls" role="group" aria-label="Shared view" hidden>
+          <span class="sync-status"></span>
+          <select class="sync-role" aria-label="Role">
+            <option value="presenter">Present</option>
+            <option value="follower">Follow</option>
+            <option value="free">Explore freely</option>
+          </select>
+          <button type="button" class="sync-request">Request control</button>
+          <button type="button" class="sync-grant" hidden>Give control</button>
+        </div>
+        <div class="challenge-hud" role="group" aria-label="Challenge" hidden>
+          <span class="challenge-progress"></span>
+          <span class="challenge-prompt"></span>
+          <span class="challenge-hint" hidden></span>
+          <span class="challenge-time"></span>
+          <span class="challenge-misses"></span>
+          <button type="button" class="challenge-skip">Skip</button>
+          <button type="button" class="challenge-quit" aria-label="End challenge">×</button>
+        </div>
+        <div class="challenge-panel" role="dialog" tabindex="-1" hidden>
+          <h2 class="challenge-title"></h2>
+          <p class="challenge-summary"></p>
+          <table class="challenge-scores" hidden>
+            <caption>High scores</caption>
+            <thead>
+              <tr><th scope="col">#</th><th scope="col">Score</th><th scope="col">Found</th><th scope="col">Time</th><th scope="col">Misses</th><th scope="col">Date</th></tr>
+            </thead>
+            <tbody></tbody>
+          </table>
+          <div class="challenge-actions">
+            <button type="button" class="challenge-start">Start</button>
+            <button type="button" class="challenge-close">Close</button>
+          </div>
+        </div>
+        <div class="gallery-strip" role="toolbar" aria-label="Images" hidden>
+          <button type="button" class="gallery-previous" aria-label="Previous image">‹</button>
+          <div class="gallery-thumbnails"></div>
+          <button type="button" class="gallery-next" aria-label="Next image">›</button>
+          <span class="gallery-title" aria-live="polite"></span>
+        </div>
+        <div class="minimap" hidden>
+          <button type="button" class="minimap-toggle" aria-expanded="true" aria-label="Hide overview map">◳</button>
+          <div class="minimap-map" tabindex="0" role="application" aria-roledescription="overview map"
+            aria-label="Overview map. Click or drag to move the lens, or use the arrow keys and Home.">
+            <svg class="minimap-overlay" aria-hidden="true" focusable="false">
+              <path class="minimap-lens" d=""></path>
+            </svg>
+          </div>
+        </div>
+        <div class="hotspot-callout" aria-live="polite" hidden></div>
+        <div class="hotspot-panel" role="dialog" tabindex="-1" hidden>
+          <button type="button" class="hotspot-panel-close" aria-label="Close details">×</button>
+          <h2 class="hotspot-panel-title"></h2>
+          <div class="hotspot-panel-body"></div>
+        </div>
+        <p class="image-description visually-hidden" id="${this.descriptionManager.descriptionId}"></p>
+        <p class="keyboard-instructions visually-hidden" id="${this.descriptionManager.instructionsId}"></p>
+        <div class="live-announcer visually-hidden" role="status" aria-live="polite"></div>
+        <div class="live-alert visually-hidden" role="alert"></div>
+      `
+
+      // Get DOM elements
+      this.binocularContainer = this.querySelector(".binocular-container")
+      this.backgroundImage = this.querySelector(".background-image")
+      this.viewportMask = this.querySelector(".viewport-mask")
+      this.viewportLens = this.querySelector(".viewport-lens")
+      this.viewportLensImage = this.querySelector(".viewport-lens-image")
+      this.lensReticle = this.querySelector(".lens-reticle")
+      this.lensRim = this.querySelector(".lens-rim")
+      this.loadingIndicator = this.querySelector(".loading-indicator")
+      this.touchInstructions = this.querySelector(".touch-instructions")
+      this.tourCaption = this.querySelector(".tour-caption")
+      this.tourControls = this.querySelector(".tour-controls")
+      this.hotspotCallout = this.querySelector(".hotspot-callout")
+      this.hotspotPanel = this.querySelector(".hotspot-panel")
+      this.imageControls = this.querySelector(".image-controls")
+      this.galleryStrip = this.querySelector(".gallery-strip")
+      this.imageDescription = this.querySelector(".image-description")
+      this.keyboardInstructions = this.querySelector(".keyboard-instructions")
+      this.liveAnnouncer = this.querySelector(".live-announcer")
+      this.liveAlert = this.querySelector(".live-alert")
+      this.minimap = this.querySelector(".minimap")
+      this.minimapToggle = this.querySelector(".minimap-toggle")
+      this.minimapMap = this.querySelector(".minimap-map")
+      this.minimapLens = this.querySelector(".minimap-lens")
+      this.coverageHeatmap = this.querySelector(".coverage-heatmap")
+      this.coverageControls = this.querySelector(".coverage-controls")
+      this.replayControls = this.querySelector(".replay-controls")
+      this.recordingIndicator = this.querySelector(".recording-indicator")
+      this.syncControls = this.querySelector(".sync-controls")
+      this.challengeHud = this.querySelector(".challenge-hud")
+      this.challengePanel = this.querySelector(".challenge-panel")
+    }
+
+    // Role and descriptions for screen readers
+    this.descriptionManager.attach()
+
+    // Local image loading is opt-in (local-images attribute)
+    this.imageControls.hidden = !this.hasAttribute("local-images")
+
+    // Focusable so keyboard navigation can be scoped to this viewer
+    if (!this.hasAttribute("tabindex")) {
+      this.tabIndex = 0
+    }
+
+    if (!this.hasAttribute("aria-label")) {
+      this.setAttribute("aria-label", "Interactive binocular viewer")
+    }
+  }
+
+  /**
+   * Handle initialization errors
+   */
+  handleInitializationError(error) {
+    AppState.hasError = true
+    AppState.errorMessage = error.message
+
+    const errorHtml = `
+      <div class="initialization-error">
+        <h2>🚫 Initialization Error</h2>
+        <p>The binocular viewer failed to initialize properly.</p>
+        <p><strong>Error:</strong> ${error.message}</p>
+        <div class="error-actions">
+          <button onclick="location.reload()" class="retry-button">Reload Page</button>
+        </div>
+        <div class="error-details">
+          <p><strong>Browser Information:</strong></p>
+          <ul>
+            <li>User Agent: ${navigator.userAgent}</li>
+            <li>Clip-path Support: ${AppState.browserSupport.clipPath ? "✅" : "❌"}</li>
+            <li>Custom Properties: ${AppState.browserSupport.customProperties ? "✅" : "❌"}</li>
+            <li>Modern CSS: ${AppState.browserSupport.modernCSS ? "✅" : "❌"}</li>
+          </ul>
+        </div>
+      </div>
+    `
+
+    if (this.loadingIndicator) {
+      this.loadingIndicator.innerHTML = errorHtml
+      this.loadingIndicator.classList.add("error", "critical")
+    } else {
+      // Fallback if loading indicator doesn't exist
+      this.innerHTML = errorHtml
+    }
+  }
+
+  /**
+   * Update container dimensions
+   */
+  updateContainerDimensions() {
+    this.state.container.width = this.binocularContainer.clientWidth
+    this.state.container.height = this.binocularContainer.clientHeight
+  }
+
+  /**
+   * Check whether an event target is viewer UI that handles its own input, rather than the image surface
+   */
+  isViewerControl(target) {
+    return (
+      target instanceof Element &&
+      Boolean(
+        target.closest(
+          ".tour-controls, .hotspot-panel, .image-controls, .gallery-strip, .minimap, .coverage-controls, .replay-controls, .sync-controls, .challenge-hud, .challenge-panel, .loading-indicator",
+        ),
+      )
+    )
+  }
+
+  /**
+   * Start a drag with the primary mouse button, a finger or a pen
+   */
+  handlePointerDown(event) {
+    if (!this.state.isLoaded || this.isViewerControl(event.target)) return
+
+    // Other mouse buttons keep their default behaviour
+    const { pointerType } = event
+    if (pointerType === "mouse" && event.button !== 0) return
+
+    this.tourManager.interrupt(event)
+    this.recordingManager.interrupt(event)
+    if (this.syncManager.isFollowing()) return
+    this.state.input.activeSource = pointerType
+
+    // A new press catches a gliding lens
+    this.momentumManager.stop()
+    this.momentumManager.reset()
+
+    // Keep receiving this pointer's moves when it leaves the viewer
+    this.capturePointer(event)
+    this.state.input.pointers.set(event.pointerId, { clientX: event.clientX, clientY: event.clientY, pointerType })
+
+    if (pointerType === "touch") {
+      // Two-finger pan and pinch are handled by the gesture manager
+      if (this.touchGestureManager.handlePointerDown(this.getTouchPointers())) return
+    } else if (pointerType === "pen") {
+      this.penManager.begin(event)
+    }
+
+    this.state.input.pointerX = event.clientX
+    this.state.input.pointerY = event.clientY
+
+    // Remember where the drag started (trackpad mode moves the lens relative to it)
+    this.pointerDrag = {
+      clientX: event.clientX,
+      clientY: event.clientY,
+      lensX: this.state.viewport.x,
+      lensY: this.state.viewport.y,
+    }
+
+    // The lens already follows a hovering mouse; in trackpad mode only dragging moves it
+    if (pointerType === "mouse" || this.getPointerMode(pointerType) === "trackpad") return
+
+    // Jump straight to the finger or pen
+    const position = this.getPointerViewportPosition(event)
+    this.viewportController.updateViewportPosition(position.x, position.y, false)
+  }
+
+  /**
+   * Record pointer movement, then steer the lens at a throttled rate
+   */
+  handlePointerMove(event) {
+    // Keep every pressed pointer current, even when the throttle skips the event
+    const pointer = this.state.input.pointers.get(event.pointerId)
+    if (pointer) {
+      pointer.clientX = event.clientX
+      pointer.clientY = event.clientY
+    }
+
+    this.applyPointerMove(event)
+  }
+
+  /**
+   * Move the lens for a pointer move (mouse and pen also steer while hovering, fingers only while down)
+   */
+  applyPointerMove(event) {
+    if (!this.state.isLoaded) return
+
+    const { pointerType } = event
+    const isPressed = this.state.input.pointers.has(event.pointerId)
+    if (pointerType === "touch" && !isPressed) return
+
+    // Moving takes over from a running tour or replay
+    this.tourManager.interrupt(event)
+    this.recordingManager.interrupt(event)
+    if (this.tourManager.isActive || this.recordingManager.isReplaying || this.syncManager.isFollowing()) return
+
+    if (pointerType === "touch" && this.touchGestureManager.handlePointerMove(this.getTouchPointers())) return
+
+    // A flung lens glides away from the pointer until it stops
+    if (this.momentumManager.isGliding()) return
+
+    if (isPressed) {
+      // Dragging can fling the lens on release (mouse drags only with the mouse-momentum attribute)
+      if (this.momentumManager.appliesTo(pointerType)) {
+        this.momentumManager.track(event.clientX, event.clientY)
+      }
+
+      // Pressing harder with a pen grows the lens or the magnification
+      if (pointerType === "pen") this.penManager.applyPressure(event.pressure)
+    }
+
+    // Update input state
+    this.state.input.pointerX = event.clientX
+    this.state.input.pointerY = event.clientY
+    this.state.input.activeSource = pointerType // Pointer takes priority over keyboard
+
+    // Convert pointer position to viewport coordinates
+    const position = this.getPointerViewportPosition(event)
+
+    // Update viewport position with smooth movement
+    this.viewportController.updateViewportPosition(position.x, position.y, true)
+  }
+
+  /**
+   * Finish a drag when the button, finger or pen is lifted (or the browser cancels the pointer)
+   */
+  handlePointerUp(event) {
+    const pointer = this.state.input.pointers.get(event.pointerId)
+    if (!pointer) return
+
+    this.state.input.pointers.delete(event.pointerId)
+    if (!this.state.isLoaded) return
+
+    const { pointerType } = pointer
+    if (pointerType === "pen") this.penManager.end()
+
+    // A cancelled pointer was taken over by the browser, so it does not fling
+    if (event.type === "pointercancel") this.momentumManager.reset()
+
+    let wasGesture = false
+    if (pointerType === "touch") {
+      wasGesture = Boolean(this.touchGestureManager.gesture)
+      const remainingTouches = this.getTouchPointers()
+      this.touchGestureManager.handlePointerUp(remainingTouches)
+      if (remainingTouches.length > 0) return
+    }
+
+    this.pointerDrag = null
+
+    // Lifting flings the lens, or commits the view (a glide commits when it stops)
+    if (wasGesture || !this.momentumManager.appliesTo(pointerType) || !this.momentumManager.release()) {
+      this.deepLinkManager.commit()
+    }
+  }
+
+  /**
+   * Release a pointer that left without being captured and stop tracking a hovering one
+   */
+  handlePointerLeave(event) {
+    this.handlePointerUp(event)
+
+    if (this.state.input.activeSource === event.pointerType && event.pointerType !== "touch") {
+      this.state.input.activeSource = null
+    }
+  }
+
+  /**
+   * Route this pointer's events to the viewer until it is released
+   */
+  capturePointer(event) {
+    try {
+      this.setPointerCapture(event.pointerId)
+    } catch (e) {
+      // The pointer is no longer active (lifted before the event was handled)
+    }
+  }
+
+  /**
+   * Pressed touch pointers, in the order the fingers touched down
+   */
+  getTouchPointers() {
+    return Array.from(this.state.input.pointers.values()).filter((pointer) => pointer.pointerType === "touch")
+  }
+
+  /**
+   * Accept image files dragged over the viewer
+   */
+  handleDragOver(event) {
+    if (!event.dataTransfer || !Array.from(event.dataTransfer.types).includes("Files")) return
+
+    event.preventDefault() // Allow dropping
+    event.dataTransfer.dropEffect = "copy"
+    this.classList.add("drag-over")
+  }
+
+  /**
+   * Clear the drop highlight once the drag leaves the viewer
+   */
+  handleDragLeave(event) {
+    if (!this.contains(event.relatedTarget)) {
+      this.classList.remove("drag-over")
+    }
+  }
+
+  /**
+   * Load the first image file dropped on the viewer
+   */
+  handleDrop(event) {
+    if (!event.dataTransfer) return
+
+    event.preventDefault() // Keep the browser from navigating to the file
+    this.classList.remove("drag-over")
+
+    const files = Array.from(event.dataTransfer.files)
+    const file = files.find((candidate) => candidate.type.startsWith("image/")) || files[0]
+    this.imageLoader.loadFile(file, "file")
+  }
+
+  /**
+   * Load an image pasted while this viewer (or nothing else) has focus
+   */
+  handlePaste(event) {
+    const activeElement = document.activeElement
+    if (activeElement && activeElement !== document.body && !this.contains(activeElement)) return
+    if (!event.clipboardData) return
+
+    const item = Array.from(event.clipboardData.items).find(
+      (candidate) => candidate.kind === "file" && candidate.type.startsWith("image/")
+    )
+    if (!item) return
+
+    event.preventDefault()
+    this.imageLoader.loadFile(item.getAsFile(), "clipboard")
+  }
+
+  /**
+   * Handle mouse wheel zoom (trackpad pinch arrives as ctrl + wheel)
+   */
+  handleWheel(event) {
+    if (!this.state.isLoaded) return
+
+    event.preventDefault() // Prevent page scrolling and browser zoom
+    this.tourManager.interrupt(event)
+    this.recordingManager.interrupt(event)
+    if (this.syncManager.isFollowing()) return
+
+    // Normalize line and page based deltas to pixels
+    let deltaY = event.deltaY
+    if (event.deltaMode === 1) {
+      deltaY *= 16
+    } else if (event.deltaMode === 2) {
+      deltaY *= this.state.container.height
+    }
+
+    this.viewportController.zoomBy(Math.exp(-deltaY * this.viewportController.wheelZoomSensitivity))
+  }
+
+  /**
+   * Handle keydown events for navigation
+   */
+  handleKeyDown(event) {
+    if (!this.state.isLoaded) return
+
+    // Escape closes an open hotspot panel; other keys typed inside it belong to the panel
+    if (this.hotspotManager.isPanelOpen() && event.key === "Escape") {
+      event.preventDefault()
+      this.hotspotManager.closePanel()
+      return
+    }
+    if (this.isViewerControl(event.target) && !this.tourManager.isTourControl(event.target)) return
+
+    // Tour keys (space, page up/down, brackets, escape); any other key takes over
+    if (this.tourManager.handleKey(event)) {
+      if (!this.tourManager.isTourControl(event.target)) event.preventDefault()
+      return
+    }
+    this.tourManager.interrupt(event)
+    this.recordingManager.interrupt(event)
+
+    // Followers see the presenter's lens
+    if (this.syncManager.isFollowing()) return
+
+    this.updateModifierKeys(event)
+    const action = this.keyBindingManager.getAction(event)
+    if (!action) return
+
+    // Movement keys keep the lens moving while held
+    if (MOVEMENT_ACTIONS.includes(action)) {
+      event.preventDefault() // Prevent default browser behavior
+
+      // Start the acceleration clock on the first held key
+      if (this.state.input.keysPressed.size === 0) {
+        this.state.keyboard.heldSince = performance.now()
+      }
+
+      // Remember the physical key, so keyup matches even if modifiers changed the character
+      this.state.input.keysPressed.set(event.code, action)
+      this.state.input.activeSource = "keyboard" // Keyboard takes priority over the pointer
+
+      // Start continuous movement if not already moving
+      if (!this.state.keyboard.isMoving) {
+        this.startKeyboardMovement()
+      }
+      return
+    }
+
+    // Leave ctrl/cmd combinations (browser zoom, copy, ...) to the browser
+    if (event.ctrlKey || event.metaKey) return
+
+    if (this.runKeyAction(action)) {
+      event.preventDefault()
+    }
+  }
+
+  /**
+   * Run a one-shot key action, returning false when it does not apply
+   */
+  runKeyAction(action) {
+    const { viewportController, deepLinkManager } = this
+
+    switch (action) {
+      case "zoomIn":
+        viewportController.zoomBy(viewportController.keyboardZoomStep)
+        break
+
+      case "zoomOut":
+        viewportController.zoomBy(1 / viewportController.keyboardZoomStep)
+        break
+
+      case "zoomReset":
+        viewportController.setZoom(1)
+        break
+
+      case "pageUp":
+      case "pageDown": {
+        const step = this.state.input.altKey ? viewportController.keyboardPageStep / 4 : viewportController.keyboardPageStep
+        viewportController.moveViewportByDelta(0, action === "pageUp" ? -step : step)
+        break
+      }
+
+      case "centre": {
+        const { naturalWidth, naturalHeight } = this.state.imageState
+        viewportController.animateTo({ imageX: naturalWidth / 2, imageY: naturalHeight / 2 }, 300, () =>
+          deepLinkManager.commit()
+        )
+        return true
+      }
+
+      case "growLens":
+        this.setLensRadius(this.state.viewport.radius * viewportController.keyboardResizeStep)
+        break
+
+      case "shrinkLens":
+        this.setLensRadius(this.state.viewport.radius / viewportController.keyboardResizeStep)
+        break
+
+      case "cycleShape":
+        this.lensShapeManager.cycleShape()
+        break
+
+      case "cycleSurround":
+        this.surroundManager.cycleMode()
+        return true
+
+      case "nextImage":
+      case "previousImage":
+        if (!this.galleryManager.hasGallery()) return false
+        if (action === "nextImage") {
+          this.galleryManager.next()
+        } else {
+          this.galleryManager.previous()
+        }
+        return true
+
+      case "openHotspot":
+        this.hotspotManager.openActive()
+        break
+
+      case "toggleMinimap":
+        return this.minimapManager.toggle()
+
+      case "toggleHeatmap":
+        return this.coverageManager.toggleHeatmap()
+
+      default:
+        return false
+    }
+
+    deepLinkManager.commit()
+    return true
+  }
+
+  /**
+   * Track the Shift (fast) and Alt (precision) movement modifiers
+   */
+  updateModifierKeys(event) {
+    this.state.input.shiftKey = event.shiftKey
+    this.state.input.altKey = event.altKey
+  }
+
+  /**
+   * Handle keyup events for navigation
+   */
+  handleKeyUp(event) {
+    if (!this.state.isLoaded) return
+
+    this.updateModifierKeys(event)
+
+    // Remove key from pressed keys
+    this.state.input.keysPressed.delete(event.code)
+
+    // Stop movement if no keys are pressed (and the gamepad is not steering)
+    if (!this.isMovementInputHeld() && this.state.keyboard.isMoving) {
+      this.stopKeyboardMovement()
+      this.deepLinkManager.commit()
+    }
+  }
+
+  /**
+   * Optimized continuous keyboard movement using requestAnimationFrame with performance monitoring
+   */
+  startKeyboardMovement() {
+    if (this.state.keyboard.isMoving) return
+
+    // Keys and the gamepad take over from a gliding lens
+    this.momentumManager.stop()
+
+    this.state.keyboard.isMoving = true
+    let lastFrameTime = performance.now()
+
+    const moveLoop = (currentTime) => {
+      if (!this.state.keyboard.isMoving || !this.isMovementInputHeld()) {
+        this.stopKeyboardMovement()
+        return
+      }
+
+      // Calculate frame delta for consistent movement speed across different frame rates
+      const deltaTime = currentTime - lastFrameTime
+      lastFrameTime = currentTime
+
+      // Normalize movement speed based on frame time (target: 60fps)
+      const frameMultiplier = deltaTime / 16.67 // 16.67ms = 60fps
+
+      // Get responsive movement speed
+      const baseSpeed = this.viewportController.getKeyboardMoveSpeed()
+      const moveSpeed = baseSpeed * frameMultiplier
+
+      // Calculate movement deltas from held keys and the gamepad
+      const direction = this.getMovementDirection(currentTime)
+      const deltaX = direction.x * moveSpeed
+      const deltaY = direction.y * moveSpeed
+
+      // Apply movement if there's any delta
+      if (deltaX !== 0 || deltaY !== 0) {
+        this.viewportController.moveViewportByDelta(deltaX, deltaY)
+      }
+
+      // Continue the animation loop
+      this.state.keyboard.animationId = requestAnimationFrame(moveLoop)
+    }
+
+    // Start the movement loop
+    this.state.keyboard.animationId = requestAnimationFrame(moveLoop)
+  }
+
+  /**
+   * Check whether a movement key or the gamepad stick is held
+   */
+  isMovementInputHeld() {
+    return this.state.input.keysPressed.size > 0 || this.gamepadManager.isSteering
+  }
+
+  /**
+   * Combine held movement keys and the gamepad into one direction, in multiples of the base speed
+   */
+  getMovementDirection(currentTime) {
+    const heldActions = new Set(this.state.input.keysPressed.values())
+    let x = 0
+    let y = 0
+
+    if (heldActions.has("moveLeft")) x -= 1
+    if (heldActions.has("moveRight")) x += 1
+    if (heldActions.has("moveUp")) y -= 1
+    if (heldActions.has("moveDown")) y += 1
+
+    // Normalize diagonal movement to maintain consistent speed
+    if (x !== 0 && y !== 0) {
+      x *= Math.SQRT1_2
+      y *= Math.SQRT1_2
+    }
+
+    // Held keys accelerate; Shift moves fast and Alt precisely
+    const keyMultiplier = this.viewportController.getKeyboardSpeedMultiplier(
+      currentTime - this.state.keyboard.heldSince,
+      this.state.input
+    )
+
+    // The analog stick adds proportional movement on top
+    return {
+      x: x * keyMultiplier + this.gamepadManager.direction.x,
+      y: y * keyMultiplier + this.gamepadManager.direction.y,
+    }
+  }
+
+  /**
+   * Stop continuous keyboard movement
+   */
+  stopKeyboardMovement() {
+    this.state.keyboard.isMoving = false
+
+    if (this.state.keyboard.animationId) {
+      cancelAnimationFrame(this.state.keyboard.animationId)
+      this.state.keyboard.animationId = null
+    }
+  }
+
+  /**
+   * Set up event listeners scoped to this viewer with comprehensive error handling
+   */
+  setupEventListeners() {
+    try {
+      // All listeners share one signal so they can be removed together on disconnect
+      this.listenerController = new AbortController()
+
+      // Resize handler: observe the element itself, falling back to window resize
+      if (window.ResizeObserver) {
+        this.resizeObserver = new ResizeObserver(() => this.handleResize())
+        this.resizeObserver.observe(this)
+      } else {
+        this.listen(window, "resize", this.handleResize)
+      }
+
+      // Orientation change handler with error handling
+      this.listen(window, "orientationchange", this.handleOrientationChange)
+
+      // Mouse, touch and pen input share one pipeline (touch-action in styles.css keeps
+      // the browser from scrolling or zooming the page instead)
+      if (AppState.browserSupport.pointerEvents) {
+        this.listen(this, "pointerdown", this.handlePointerDown)
+        this.listen(this, "pointermove", this.handlePointerMove)
+        this.listen(this, "pointerup", this.handlePointerUp)
+        this.listen(this, "pointercancel", this.handlePointerUp)
+        this.listen(this, "pointerleave", this.handlePointerLeave)
+      } else {
+        console.warn("Pointer Events are not supported, the lens cannot follow the pointer")
+      }
+
+      if (AppState.browserSupport.touchEvents) {
+        // Prevent Safari's page pinch-zoom so pinching reaches the gesture manager
+        this.listen(this, "gesturestart", (e) => e.preventDefault(), { passive: false })
+        this.listen(this, "gesturechange", (e) => e.preventDefault(), { passive: false })
+        this.listen(this, "gestureend", (e) => e.preventDefault(), { passive: false })
+      }
+
+      // Mouse wheel zoom handler (non-passive so page scrolling can be prevented)
+      this.listen(this, "wheel", this.handleWheel, { passive: false })
+
+      // Keyboard navigation handlers (the viewer must have focus)
+      this.listen(this, "keydown", this.handleKeyDown)
+      this.listen(this, "keyup", this.handleKeyUp)
+
+      // Local images: file picker, drag-and-drop and clipboard paste
+      if (this.hasAttribute("local-images")) {
+        const fileInput = this.imageControls.querySelector(".open-image-input")
+
+        this.listen(this.imageControls.querySelector(".open-image-button"), "click", () => fileInput.click())
+        this.listen(fileInput, "change", () => {
+          this.imageLoader.loadFile(fileInput.files[0], "file")
+          fileInput.value = "" // Allow picking the same file again
+        })
+
+        this.listen(this, "dragover", this.handleDragOver)
+        this.listen(this, "dragleave", this.handleDragLeave)
+        this.listen(this, "drop", this.handleDrop)
+        this.listen(document, "paste", this.handlePaste)
+      }
+
+      // Gallery navigation and crossfades
+      this.listen(this.galleryStrip.querySelector(".gallery-previous"), "click", () => this.galleryManager.previous())
+      this.listen(this.galleryStrip.querySelector(".gallery-next"), "click", () => this.galleryManager.next())
+      this.listen(this.galleryStrip.querySelector(".gallery-thumbnails"), "click", (event) => {
+        const thumbnail = event.target.closest(".gallery-thumbnail")
+        if (thumbnail) this.galleryManager.show(Number(thumbnail.dataset.index))
+      })
+      this.listen(this, "imageload", () => this.galleryManager.handleImageLoad())
+      this.listen(this, "imageload", () => this.descriptionManager.handleImageLoad())
+      this.listen(this, "imageload", () => this.minimapManager.handleImageLoad())
+
+      // Overview map: its own pointer input, kept from steering the lens underneath
+      this.listen(this.minimapToggle, "click", () => this.minimapManager.toggle())
+      this.listen(this.minimapMap, "pointerdown", (event) => this.minimapManager.handlePointerDown(event))
+      this.listen(this.minimapMap, "pointermove", (event) => this.minimapManager.handlePointerMove(event))
+      this.listen(this.minimapMap, "pointerup", (event) => this.minimapManager.handlePointerUp(event))
+      this.listen(this.minimapMap, "pointercancel", (event) => this.minimapManager.handlePointerUp(event))
+      this.listen(this.minimapMap, "keydown", (event) => this.minimapManager.handleKeyDown(event))
+      for (const type of ["pointerdown", "pointermove", "pointerup"]) {
+        this.listen(this.minimap, type, (event) => event.stopPropagation())
+      }
+
+      // Recording and replay
+      this.listen(this, "imageload", () => this.recordingManager.handleImageLoad())
+      this.listen(this, "imageerror", () => this.recordingManager.handleImageError())
+      this.listen(this.replayControls.querySelector(".replay-play"), "click", () => this.recordingManager.togglePlay())
+      this.listen(this.replayControls.querySelector(".replay-seek"), "input", (event) =>
+        this.recordingManager.seek(Number(event.target.value))
+      )
+      this.listen(this.replayControls.querySelector(".replay-speed"), "change", (event) =>
+        this.recordingManager.setSpeed(Number(event.target.value))
+      )
+      this.listen(this.replayControls.querySelector(".replay-close"), "click", () => this.recordingManager.close())
+
+      // Shared view controls
+      this.listen(this, "imageload", () => this.syncManager.handleImageLoad())
+      this.listen(this.syncControls.querySelector(".sync-role"), "change", (event) =>
+        this.syncManager.setRole(event.target.value)
+      )
+      this.listen(this.syncControls.querySelector(".sync-request"), "click", () => this.syncManager.requestControl())
+      this.listen(this.syncControls.querySelector(".sync-grant"), "click", () => this.syncManager.grantControl())
+
+      // Challenge game bar and start/results screen
+      this.listen(this, "imageload", () => this.challengeManager.handleImageLoad())
+      this.listen(this.challengeHud.querySelector(".challenge-skip"), "click", () => this.challengeManager.skip())
+      this.listen(this.challengeHud.querySelector(".challenge-quit"), "click", () => this.challengeManager.quit())
+      this.listen(this.challengePanel.querySelector(".challenge-start"), "click", () => this.challengeManager.start())
+      this.listen(this.challengePanel.querySelector(".challenge-close"), "click", () => this.challengeManager.close())
+
+      // Coverage heatmap controls
+      this.listen(this, "imageload", () => this.coverageManager.handleImageLoad())
+      this.listen(this.coverageControls, "click", (event) => {
+        const button = event.target.closest("button")
+        if (!button) return
+
+        if (button.dataset.export) {
+          this.coverageManager.download(button.dataset.export).catch((error) => {
+            console.error("Failed to export coverage:", error)
+            showUserError("The coverage data could not be exported.")
+          })
+        } else if (button.classList.contains("coverage-clear")) {
+          this.coverageManager.clear()
+        } else if (button.classList.contains("coverage-close")) {
+          this.coverageManager.setHeatmapVisible(false)
+        }
+      })
+      this.listen(this, "imageerror", () => this.galleryManager.removeCrossfadeLayers())
+
+      // Hotspot detail panel
+      this.listen(this.hotspotPanel.querySelector(".hotspot-panel-close"), "click", () => this.hotspotManager.closePanel())
+
+      // Guided tour controls
+      this.listen(this.tourControls.querySelector(".tour-previous"), "click", () => this.tourManager.previous())
+      this.listen(this.tourControls.querySelector(".tour-play"), "click", () => this.tourManager.togglePlay())
+      this.listen(this.tourControls.querySelector(".tour-next"), "click", () => this.tourManager.next())
+
+      // Deep links: a click commits the view, back/forward restores it
+      if (this.deepLinkManager.enabled) {
+        this.listen(this, "click", (event) => {
+          if (!this.isViewerControl(event.target)) this.deepLinkManager.commit()
+        })
+        this.listen(window, "popstate", (event) => this.deepLinkManager.handlePopState(event))
+      }
+
+      // Gamepad hot-plug (input itself is polled while a controller is connected)
+      this.gamepadManager.attach()
+
+      // Reduced motion and high-contrast settings, followed live
+      this.preferenceManager.attach()
+
+      // Prevent context menu on right-click to avoid interfering with navigation
+      // (viewer controls such as the hotspot panel keep their context menu for copying links)
+      this.listen(this, "contextmenu", (event) => {
+        if (!this.isViewerControl(event.target)) event.preventDefault()
+      })
+
+      // Clicking inside the lens over a hotspot opens its detail panel
+      this.listen(this, "click", (event) => {
+        if (!this.isViewerControl(event.target)) this.hotspotManager.handleClick(event)
+      })
+
+      // Reset keyboard state when the viewer or the window loses focus
+      const resetInputState = () => {
+        // Clear all pressed keys so movement doesn't get stuck
+        this.state.input.keysPressed.clear()
+        this.state.input.shiftKey = false
+        this.state.input.altKey = false
+        this.stopKeyboardMovement()
+
+        // Pointers pressed when focus went elsewhere may never report being lifted
+        this.state.input.pointers.clear()
+        this.state.input.activeSource = null
+        this.pointerDrag = null
+        this.penManager.end()
+      }
+
+      this.listen(this, "blur", resetInputState)
+      this.listen(window, "blur", resetInputState)
+
+      // Handle visibility change to pause/resume when tab is hidden
+      this.listen(document, "visibilitychange", () => {
+        if (document.hidden) {
+          // Pause animations when tab is hidden
+          this.state.input.keysPressed.clear()
+          this.stopKeyboardMovement()
+        }
+
+        // Time spent on another tab does not count as looking at the image
+        this.coverageManager.handleVisibilityChange()
+      })
+
+      console.log("Event listeners set up successfully")
+    } catch (error) {
+      console.error("Failed to set up event listeners:", error)
+      this.handleInitializationError(error)
+    }
+  }
+
+  /**
+   * Add an event listener that is removed automatically on disconnect
+   */
+  listen(target, type, handler, options = {}) {
+    target.addEventListener(type, safeEventHandler(handler.bind(this), type), {
+      ...options,
+      signal: this.listenerController.signal,
+    })
+  }
+
+  /**
+   * setTimeout that is cleared automatically on disconnect
+   */
+  schedule(callback, delay) {
+    const timerId = setTimeout(() => {
+      this.timers.delete(timerId)
+      callback()
+    }, delay)
+
+    this.timers.add(timerId)
+    return timerId
+  }
+
+  /**
+   * Cancel a timer created with schedule
+   */
+  unschedule(timerId) {
+    clearTimeout(timerId)
+    this.timers.delete(timerId)
+  }
+
+  /**
+   * Remove listeners, timers and animation frames when the element leaves the page
+   */
+  destroy() {
+    if (this.listenerController) {
+      this.listenerController.abort()
+      this.listenerController = null
+    }
+
+    if (this.resizeObserver) {
+      this.resizeObserver.disconnect()
+      this.resizeObserver = null
+    }
+
+    for (const timerId of this.timers) {
+      clearTimeout(timerId)
+    }
+    this.timers.clear()
+
+    // Ignore any image load still in flight
+    this.imageLoader.cancel()
+
+    // Hand control back from a running tour or replay, leave a shared view and end a challenge
+    this.tourManager.stop()
+    this.recordingManager.release()
+    this.syncManager.disconnect()
+    this.challengeManager.stopGame()
+
+    // Stop polling the gamepad and any glide
+    this.gamepadManager.detach()
+    this.momentumManager.stop()
+
+    // Keep the coverage recorded so far
+    this.coverageManager.detach()
+
+    // Stop following motion and contrast preferences
+    this.preferenceManager.detach()
+
+    this.state.input.keysPressed.clear()
+    this.state.input.pointers.clear()
+    this.stopKeyboardMovement()
+
+    console.log("Binocular Viewer destroyed")
+  }
+
+  /**
+   * Optimized resize handler with debouncing for better performance
+   */
+  handleResize() {
+    this.updateContainerDimensions()
+
+    // Update responsive state
+    this.responsiveManager.updateResponsiveState()
+
+    // Reapply mobile background fixes after resize
+    if (this.state.imageState.isLoaded) {
+      this.imageLoader.applyMobileBackgroundFixes()
+      this.imageLoader.syncLensBackground()
+    }
+
+    // Recalculate viewport radius for new screen size and keep the same image point under the lens
+    if (this.state.isLoaded) {
+      this.minimapManager.resize()
+      this.calculateViewportRadius()
+      this.viewportController.restoreImagePosition()
+      this.updateViewportPosition()
+    }
+
+    console.log("Viewer resized:", this.state.container.width, "x", this.state.container.height)
+  }
+
+  /**
+   * Handle orientation change
+   */
+  handleOrientationChange() {
+    // Add a small delay to ensure the viewport has updated
+    this.schedule(() => {
+      this.updateContainerDimensions()
+
+      // Update responsive state
+      this.responsiveManager.updateResponsiveState()
+
+      // Reapply mobile background fixes after orientation change
+      if (this.state.imageState.isLoaded) {
+        this.imageLoader.applyMobileBackgroundFixes()
+        this.imageLoader.syncLensBackground()
+      }
+
+      if (this.state.isLoaded) {
+        this.minimapManager.resize()
+        this.calculateViewportRadius()
+        this.viewportController.restoreImagePosition()
+        this.updateViewportPosition()
+      }
+
+      console.log(
+        "Orientation changed:",
+        this.state.container.width,
+        "x",
+        this.state.container.height,
+        "(" + this.responsiveManager.orientation + ")",
+      )
+    }, 100)
+  }
+
+  /**
+   * How a pressed pointer steers the lens: fingers use the touch mode, mouse and pen move it directly
+   */
+  getPointerMode(pointerType) {
+    return pointerType === "touch" ? this.responsiveManager.getTouchMode() : "direct"
+  }
+
+  /**
+   * Convert a pointer event to a lens position for its pointer mode
+   */
+  getPointerViewportPosition(event) {
+    const { viewportController, responsiveManager } = this
+    const drag = this.pointerDrag
+    const mode = this.getPointerMode(event.pointerType)
+
+    if (mode === "trackpad" && drag) {
+      // Move the lens by the drag distance from where it was when the drag started
+      const { width, height } = this.state.container
+      const speed = viewportController.trackpadSpeed
+
+      return viewportController.applyBoundaryConstraints(
+        drag.lensX + ((event.clientX - drag.clientX) * speed) / width,
+        drag.lensY + ((event.clientY - drag.clientY) * speed) / height
+      )
+    }
+
+    if (mode === "offset") {
+      // Keep the lens above the finger so the finger does not cover it
+      const rect = this.binocularContainer.getBoundingClientRect()
+      const offset = responsiveManager.getTouchOffset(event.clientY - rect.top)
+      return viewportController.mouseToViewportPosition(event.clientX, event.clientY - offset)
+    }
+
+    // A tilted pen moves the lens away from the hand holding it
+    const tilt = event.pointerType === "pen" ? this.penManager.getTiltOffset(event) : { x: 0, y: 0 }
+    return viewportController.mouseToViewportPosition(event.clientX + tilt.x, event.clientY + tilt.y)
+  }
+
+  /**
+   * Initialize viewport positioning with error handling
+   */
+  initializeViewport() {
+    try {
+      // Calculate responsive viewport radius
+      this.calculateViewportRadius()
+
+      // Set initial viewport position to center of screen
+      this.viewportController.commitPosition(0.5, 0.5)
+
+      // Update the viewport display
+      this.updateViewportPosition()
+
+      // Apply the configured magnification (zoom attribute)
+      this.applyZoomAttribute()
+
+      // Mark as loaded
+      this.state.isLoaded = true
+      AppState.isLoaded = true
+      this.classList.add("loaded")
+
+      // Move to the remembered gallery position, then to the view from a shared link, if any
+      this.galleryManager.handleViewportInitialized()
+      this.deepLinkManager.handleViewportInitialized()
+
+      // Continue a replay or a followed presenter that switched images, or start a waiting challenge
+      this.recordingManager.handleViewportInitialized()
+      this.syncManager.handleViewportInitialized()
+      this.challengeManager.handleViewportInitialized()
+
+      console.log("Viewport initialized at center position")
+
+      // Test the viewport positioning
+      this.testViewportMask()
+
+      // Show success message briefly
+      if (this.loadingIndicator) {
+        this.loadingIndicator.innerHTML = "<p>✅ Ready to explore!</p>"
+        this.schedule(() => {
+          if (this.loadingIndicator) {
+            this.loadingIndicator.style.opacity = "0"
+            this.schedule(() => {
+              if (this.loadingIndicator) {
+                this.loadingIndicator.style.display = "none"
+              }
+            }, 300)
+          }
+        }, 1000)
+      }
+    } catch (error) {
+      console.error("Failed to initialize viewport:", error)
+      showUserError("Failed to initialize the binocular viewer. Please refresh the page.")
+    }
+  }
+
+  /**
+   * Set the lens radius picked by the user (null returns to the default size)
+   */
+  setLensRadius(radius) {
+    this.responsiveManager.setUserRadius(radius)
+    if (!this.state.isLoaded) return
+
+    this.calculateViewportRadius()
+    this.viewportController.updateViewportPosition(this.state.viewport.x, this.state.viewport.y, false)
+  }
+
+  /**
+   * Show a short message in the touch instructions bubble
+   */
+  showTouchHint(message) {
+    const { touchInstructions } = this
+    if (!touchInstructions) return
+
+    touchInstructions.textContent = message
+    touchInstructions.style.display = ""
+    touchInstructions.classList.add("show")
+
+    if (this.touchHintTimer) this.unschedule(this.touchHintTimer)
+    this.touchHintTimer = this.schedule(() => {
+      this.touchHintTimer = null
+      touchInstructions.classList.remove("show")
+    }, 2000)
+  }
+
+  /**
+   * Calculate responsive viewport radius based on screen size
+   */
+  calculateViewportRadius() {
+    // A tour waypoint radius is kept until the tour hands control back
+    if (this.state.viewport.radiusOverride) {
+      this.state.viewport.radius = this.state.viewport.radiusOverride
+      return
+    }
+
+    // A size picked by the user (pinch or gamepad) wins over the attribute
+    if (this.responsiveManager.userRadius !== null) {
+      this.state.viewport.radius = this.responsiveManager.getOptimalViewportRadius()
+      return
+    }
+
+    // An explicit radius attribute overrides the responsive calculation
+    const configuredRadius = parseFloat(this.getAttribute("radius"))
+    if (configuredRadius > 0) {
+      this.state.viewport.radius = configuredRadius
+      return
+    }
+
+    // Use responsive manager for optimal radius calculation
+    let baseRadius = this.responsiveManager.getOptimalViewportRadius()
+
+    const maxDimension = Math.max(this.state.container.width, this.state.container.height)
+    const minDimension = Math.min(this.state.container.width, this.state.container.height)
+    const aspectRatio = maxDimension / minDimension
+
+    // Adjust for extreme aspect ratios
+    if (aspectRatio > 2.5) {
+      baseRadius *= 0.75 // Reduce radius for very wide screens
+    } else if (aspectRatio > 2) {
+      baseRadius *= 0.85
+    }
+
+    // Ensure minimum and maximum bounds
+    this.state.viewport.radius = Math.max(60, Math.min(200, baseRadius))
+
+    console.log(
+      "Viewport radius calculated:",
+      this.state.viewport.radius,
+      "for",
+      this.state.container.width + "x" + this.state.container.height,
+      "(" + this.responsiveManager.orientation + ", " + this.responsiveManager.deviceType + ")",
+    )
+  }
+
+  /**
+   * Highly optimized viewport position update with performance monitoring and error handling
+   */
+  updateViewportPosition() {
+    if (!this.viewportMask) return
+
+    try {
+      // Performance monitoring
+      this.state.performance.updateCount++
+      const now = performance.now()
+
+      // Convert normalized coordinates to pixel coordinates
+      const pixelX = this.state.viewport.x * this.state.container.width
+      const pixelY = this.state.viewport.y * this.state.container.height
+
+      // Use appropriate update method based on browser support
+      if (AppState.browserSupport.customProperties && AppState.browserSupport.requestAnimationFrame) {
+        // Modern browser path with requestAnimationFrame
+        requestAnimationFrame(() => {
+          try {
+            // Draw the lens in a single batch to minimize reflows
+            this.lensRenderer.render(pixelX, pixelY)
+          } catch (error) {
+            console.warn("Failed to render the lens:", error)
+            // Fallback to direct style updates
+            this.lensRenderer.renderFallback(pixelX, pixelY)
+          }
+        })
+      } else {
+        // Fallback for older browsers
+        this.lensRenderer.renderFallback(pixelX, pixelY)
+      }
+
+      // Update performance metrics
+      this.state.performance.frameCount++
+      this.state.performance.lastUpdateTime = now
+
+      // Calculate FPS every second
+      if (now - this.state.performance.lastFpsUpdate > 1000) {
+        this.state.performance.fps = this.state.performance.frameCount
+        this.state.performance.frameCount = 0
+        this.state.performance.lastFpsUpdate = now
+
+        // Log performance metrics in development
+        if (window.location.hostname === "localhost" || window.location.hostname === "127.0.0.1") {
+          console.debug(`Performance: ${this.state.performance.fps} FPS, ${this.state.performance.updateCount} updates/sec`)
+          this.state.performance.updateCount = 0
+        }
+      }
+
+      // Keep a shared link up to date with the live view
+      this.deepLinkManager.scheduleUpdate()
+
+      // Reveal hotspots under the lens
+      this.hotspotManager.update()
+
+      // Describe the region under the lens to screen readers once it settles
+      this.descriptionManager.scheduleUpdate()
+
+      // Move the outline on the overview map
+      this.minimapManager.update()
+
+      // Record where the lens has been
+      this.coverageManager.sample()
+
+      // Send the view to followers when presenting
+      this.syncManager.handleViewChange()
+
+      // Watch for the lens settling on a challenge target
+      this.challengeManager.update()
+    } catch (error) {
+      console.error("Error updating viewport position:", error)
+      // Continue execution to prevent breaking the application
+    }
+  }
+
+  /**
+   * Switch the lens renderer ("css" or "webgl"), falling back to CSS if it fails to start
+   */
+  setLensRenderer(name) {
+    if (this.lensRenderer && this.lensRenderer.name === name) return
+
+    if (this.lensRenderer) {
+      this.lensRenderer.detach()
+    }
+
+    const RendererClass = LensRenderers[name] || CssLensRenderer
+    try {
+      this.lensRenderer = new RendererClass(this)
+      this.lensRenderer.attach()
+    } catch (error) {
+      console.warn(`Lens renderer "${name}" could not start, using CSS:`, error)
+      this.lensRenderer.detach()
+      this.lensRenderer = new CssLensRenderer(this)
+    }
+
+    console.log(`Lens renderer: ${this.lensRenderer.name}`)
+
+    if (this.state.isLoaded) {
+      this.updateViewportPosition()
+    }
+  }
+
+  /**
+   * Hand a newly loaded image to the lens renderer (null for tile pyramids)
+   */
+  updateLensImage(image) {
+    try {
+      this.lensRenderer.setImage(image)
+    } catch (error) {
+      // e.g. a cross-origin image served without CORS headers
+      console.warn("Lens renderer cannot use this image, using CSS:", error)
+      this.setLensRenderer("css")
+    }
+  }
+
+  /**
+   * Set lens optics (distortion, vignette, aberration, softness) for renderers that support them
+   */
+  setOptics(optics) {
+    Object.assign(this.state.optics, optics)
+    this.updateViewportPosition()
+  }
+
+  /**
+   * Set viewport position (normalized coordinates 0-1)
+   */
+  setViewportPosition(normalizedX, normalizedY) {
+    // Clamp values to valid range
+    this.viewportController.commitPosition(Math.max(0, Math.min(1, normalizedX)), Math.max(0, Math.min(1, normalizedY)))
+
+    // Update display
+    this.updateViewportPosition()
+  }
+
+  /**
+   * Move the lens centre to a point in intrinsic image pixels
+   */
+  setImagePosition(imageX, imageY) {
+    this.viewportController.setImagePosition(imageX, imageY)
+  }
+
+  /**
+   * Get the lens centre in intrinsic image pixels
+   */
+  getImagePosition() {
+    return { x: this.state.viewport.imageX, y: this.state.viewport.imageY }
+  }
+
+  /**
+   * Set lens shape by name (circle, binocular, ellipse, rounded-rect, telescope)
+   */
+  setLensShape(name) {
+    return this.lensShapeManager.setShape(name)
+  }
 
   /**
-   * Detect touch capability
+   * Set viewport magnification (1 = no magnification)
    */
-  detectTouchCapability() {
-    return "ontouchstart" in window || navigator.maxTouchPoints > 0
+  setViewportZoom(zoom) {
+    this.viewportController.setZoom(zoom)
   }
 
   /**
-   * Get current orientation
+   * Apply the zoom attribute (missing or invalid values reset to 1)
    */
-  getOrientation() {
-    return AppState.container.height > AppState.container.width ? "portrait" : "landscape"
+  applyZoomAttribute() {
+    this.viewportController.setZoom(parseFloat(this.getAttribute("zoom")) || 1)
   }
 
   /**
-   * Update responsive state on resize/orientation change
+   * Read a touch-offset value in pixels, or null to follow the lens radius
    */
-  updateResponsiveState() {
-    this.deviceType = this.detectDeviceType()
-    this.orientation = this.getOrientation()
-
-    console.log("Responsive state updated:", {
-      deviceType: this.deviceType,
-      orientation: this.orientation,
-      isTouch: this.isTouch,
-      dimensions: `${AppState.container.width}x${AppState.container.height}`,
-    })
+  parseTouchOffset(value) {
+    const offset = Number.parseFloat(value)
+    return Number.isFinite(offset) && offset >= 0 ? offset : null
   }
 
   /**
-   * Get optimal viewport radius for current device
+   * Read a surround-dim value (0-1), or null to use the surround mode's default
    */
-  getOptimalViewportRadius() {
-    const { width, height } = AppState.container
-    const minDimension = Math.min(width, height)
-
-    switch (this.deviceType) {
-      case "mobile-small":
-        return Math.min(80, minDimension * 0.15)
-      case "mobile-large":
-        return Math.min(100, minDimension * 0.18)
-      case "tablet":
-        return Math.min(140, minDimension * 0.2)
-      case "desktop":
-        return Math.min(180, minDimension * 0.15)
-      default:
-        return Math.min(150, minDimension * 0.18)
-    }
+  parseSurroundDim(value) {
+    const dim = Number.parseFloat(value)
+    return Number.isFinite(dim) ? dim : null
   }
 
   /**
-   * Check if device should use touch-optimized interactions
+   * Test function to verify viewport mask and navigation with error handling
    */
-  shouldUseTouchOptimizations() {
-    return this.isTouch && (this.deviceType.includes("mobile") || this.deviceType === "tablet")
-  }
-}
+  testViewportMask() {
+    try {
+      if (!this.viewportMask) {
+        console.error("Viewport mask element not found")
+        showUserError("Viewport mask initialization failed")
+        return
+      }
 
-// Create instances
-const viewportController = new ViewportController()
-const responsiveManager = new ResponsiveManager()
+      // Check if CSS custom properties are set
+      const computedStyle = getComputedStyle(this.viewportMask)
+      const viewportX = this.viewportMask.style.getPropertyValue("--viewport-x")
+      const viewportY = this.viewportMask.style.getPropertyValue("--viewport-y")
+      const viewportRadius = this.viewportMask.style.getPropertyValue("--viewport-radius")
 
-/**
- * Handle mouse movement for viewport tracking with optimized throttling
- */
-const handleMouseMove = throttle((event) => {
-  if (!AppState.isLoaded) return
+      console.log("Viewport mask test results:")
+      console.log("- Viewport X:", viewportX || "Not set (using fallback)")
+      console.log("- Viewport Y:", viewportY || "Not set (using fallback)")
+      console.log("- Viewport Radius:", viewportRadius || "Not set (using fallback)")
+
+      try {
+        console.log("- Background style:", computedStyle.background.substring(0, 50) + "...")
+      } catch (e) {
+        console.log("- Background style: Could not read (browser compatibility issue)")
+      }
+
+      // Test viewport positioning
+      if (AppState.browserSupport.customProperties) {
+        console.log("✅ Modern viewport positioning active")
+      } else {
+        console.log("⚠️ Using fallback viewport positioning")
+      }
 
-  // Update input state
-  AppState.input.mouseX = event.clientX
-  AppState.input.mouseY = event.clientY
-  AppState.input.isMouseActive = true
-  AppState.input.keyboardActive = false // Mouse takes priority over keyboard
+      // Navigation functionality ready
+      console.log("Navigation controls initialized:")
+      console.log("- Mouse tracking: Move your mouse to control viewport")
+      console.log("- Keyboard navigation: Use arrow keys or WASD to move")
+      console.log("- Hold keys for continuous movement")
+      console.log("- Zoom: Mouse wheel or +/- keys (0 resets magnification)")
+      console.log("- Lens shape: Press L to cycle shapes")
+      console.log("- Boundary constraints active - viewport will stay within image bounds")
+
+      // Test a small viewport movement to verify functionality (skipped with reduced motion)
+      if (this.preferenceManager.reducedMotion) return
+
+      const originalX = this.state.viewport.x
+      const originalY = this.state.viewport.y
+
+      // Move slightly and then back
+      this.state.viewport.x = 0.51
+      this.state.viewport.y = 0.51
+      this.updateViewportPosition()
+
+      this.schedule(() => {
+        this.state.viewport.x = originalX
+        this.state.viewport.y = originalY
+        this.updateViewportPosition()
+        console.log("✅ Viewport movement test completed successfully")
+      }, 100)
+    } catch (error) {
+      console.error("Error during viewport mask testing:", error)
+      showUserError("Viewport testing failed - some features may not work properly")
+    }
+  }
 
-  // Convert mouse position to viewport coordinates
-  const position = viewportController.mouseToViewportPosition(event.clientX, event.clientY)
+  /**
+   * Show touch instructions for mobile devices
+   */
+  showTouchInstructions() {
+    const touchInstructions = this.touchInstructions
 
-  // Update viewport position with smooth movement
-  viewportController.updateViewportPosition(position.x, position.y, true)
-}, 8) // ~120fps throttling for smoother mouse tracking
+    if (touchInstructions && this.responsiveManager.shouldUseTouchOptimizations()) {
+      // Show instructions initially
+      touchInstructions.classList.add("show")
 
-/**
- * Handle keydown events for navigation
- */
-function handleKeyDown(event) {
-  if (!AppState.isLoaded) return
+      // Hide instructions after first interaction or after 5 seconds
+      let hasInteracted = false
 
-  const key = event.key.toLowerCase()
+      const hideInstructions = () => {
+        if (!hasInteracted) {
+          hasInteracted = true
+          touchInstructions.classList.remove("show", "initial")
+        }
+      }
 
-  // Check if it's a navigation key
-  const navigationKeys = ["arrowup", "arrowdown", "arrowleft", "arrowright", "w", "a", "s", "d"]
+      // Hide on first touch, click or pen contact
+      this.listen(this, "pointerdown", hideInstructions, { once: true })
 
-  if (navigationKeys.includes(key)) {
-    event.preventDefault() // Prevent default browser behavior
+      // Hide on first mouse move (for devices that support both)
+      this.listen(this, "pointermove", hideInstructions, { once: true })
 
-    // Add key to pressed keys set
-    AppState.input.keysPressed.add(key)
-    AppState.input.keyboardActive = true
-    AppState.input.isMouseActive = false // Keyboard takes priority over mouse
+      // Hide on first key press
+      this.listen(this, "keydown", hideInstructions, { once: true })
 
-    // Start continuous movement if not already moving
-    if (!AppState.keyboard.isMoving) {
-      startKeyboardMovement()
+      // Auto-hide after 5 seconds
+      this.schedule(hideInstructions, 5000)
+    } else if (touchInstructions) {
+      // Hide instructions on desktop
+      touchInstructions.style.display = "none"
     }
   }
 }
 
 /**
- * Handle keyup events for navigation
+ * Get the first viewer on the page (used by the global helper functions below)
  */
-function handleKeyUp(event) {
-  if (!AppState.isLoaded) return
-
-  const key = event.key.toLowerCase()
-
-  // Remove key from pressed keys set
-  AppState.input.keysPressed.delete(key)
+function getPrimaryViewer() {
+  return document.querySelector("binocular-viewer")
+}
 
-  // Stop movement if no keys are pressed
-  if (AppState.input.keysPressed.size === 0) {
-    stopKeyboardMovement()
+// Global retry function for the primary viewer
+function retryImageLoad() {
+  const viewer = getPrimaryViewer()
+  if (viewer) {
+    viewer.imageLoader.retry()
   }
 }
 
 /**
- * Optimized continuous keyboard movement using requestAnimationFrame with performance monitoring
+ * Set viewport position of the primary viewer (normalized coordinates 0-1)
  */
-function startKeyboardMovement() {
-  if (AppState.keyboard.isMoving) return
-
-  AppState.keyboard.isMoving = true
-  let lastFrameTime = performance.now()
-
-  const moveLoop = (currentTime) => {
-    if (!AppState.keyboard.isMoving || AppState.input.keysPressed.size === 0) {
-      stopKeyboardMovement()
-      return
-    }
-
-    // Calculate frame delta for consistent movement speed across different frame rates
-    const deltaTime = currentTime - lastFrameTime
-    lastFrameTime = currentTime
-
-    // Normalize movement speed based on frame time (target: 60fps)
-    const frameMultiplier = deltaTime / 16.67 // 16.67ms = 60fps
-
-    // Calculate movement deltas based on pressed keys
-    let deltaX = 0
-    let deltaY = 0
-
-    // Get responsive movement speed
-    const baseSpeed = viewportController.getKeyboardMoveSpeed()
-    const moveSpeed = baseSpeed * frameMultiplier
-
-    // Handle arrow keys and WASD with diagonal movement optimization
-    const leftPressed = AppState.input.keysPressed.has("arrowleft") || AppState.input.keysPressed.has("a")
-    const rightPressed = AppState.input.keysPressed.has("arrowright") || AppState.input.keysPressed.has("d")
-    const upPressed = AppState.input.keysPressed.has("arrowup") || AppState.input.keysPressed.has("w")
-    const downPressed = AppState.input.keysPressed.has("arrowdown") || AppState.input.keysPressed.has("s")
-
-    if (leftPressed) deltaX -= moveSpeed
-    if (rightPressed) deltaX += moveSpeed
-    if (upPressed) deltaY -= moveSpeed
-    if (downPressed) deltaY += moveSpeed
-
-    // Normalize diagonal movement to maintain consistent speed
-    if ((leftPressed || rightPressed) && (upPressed || downPressed)) {
-      const diagonalFactor = 1 / Math.sqrt(2) // ~0.707
-      deltaX *= diagonalFactor
-      deltaY *= diagonalFactor
-    }
-
-    // Apply movement if there's any delta
-    if (deltaX !== 0 || deltaY !== 0) {
-      viewportController.moveViewportByDelta(deltaX, deltaY)
-    }
-
-    // Continue the animation loop
-    AppState.keyboard.animationId = requestAnimationFrame(moveLoop)
+function setViewportPosition(normalizedX, normalizedY) {
+  const viewer = getPrimaryViewer()
+  if (viewer) {
+    viewer.setViewportPosition(normalizedX, normalizedY)
   }
-
-  // Start the movement loop
-  AppState.keyboard.animationId = requestAnimationFrame(moveLoop)
 }
 
 /**
- * Stop continuous keyboard movement
+ * Set lens shape of the primary viewer (circle, binocular, ellipse, rounded-rect, telescope)
  */
-function stopKeyboardMovement() {
-  AppState.keyboard.isMoving = false
-
-  if (AppState.keyboard.animationId) {
-    cancelAnimationFrame(AppState.keyboard.animationId)
-    AppState.keyboard.animationId = null
-  }
+function setLensShape(name) {
+  const viewer = getPrimaryViewer()
+  return viewer ? viewer.setLensShape(name) : false
 }
 
 /**
- * Set up event listeners with comprehensive error handling
+ * Set magnification of the primary viewer (1 = no magnification)
  */
-function setupEventListeners() {
-  try {
-    // Global error handlers
-    window.addEventListener("error", handleGlobalError)
-    window.addEventListener("unhandledrejection", handleUnhandledRejection)
-
-    // Window resize handler with error handling
-    window.addEventListener("resize", safeEventHandler(handleResize, "resize"))
-
-    // Orientation change handler with error handling
-    window.addEventListener("orientationchange", safeEventHandler(handleOrientationChange, "orientationchange"))
-
-    // Mouse movement handler for viewport tracking with error handling
-    document.addEventListener("mousemove", safeEventHandler(handleMouseMove, "mousemove"))
-
-    // Mouse enter/leave handlers to track mouse activity
-    document.addEventListener(
-      "mouseenter",
-      safeEventHandler(() => {
-        AppState.input.isMouseActive = true
-      }, "mouseenter"),
-    )
-
-    document.addEventListener(
-      "mouseleave",
-      safeEventHandler(() => {
-        AppState.input.isMouseActive = false
-      }, "mouseleave"),
-    )
-
-    // Touch event handlers for mobile support (only if supported)
-    if (AppState.browserSupport.touchEvents) {
-      document.addEventListener("touchstart", safeEventHandler(handleTouchStart, "touchstart"), { passive: false })
-      document.addEventListener("touchmove", safeEventHandler(handleTouchMove, "touchmove"), { passive: false })
-      document.addEventListener("touchend", safeEventHandler(handleTouchEnd, "touchend"), { passive: false })
-
-      // Prevent default touch behaviors that might interfere
-      document.addEventListener(
-        "gesturestart",
-        safeEventHandler((e) => e.preventDefault(), "gesturestart"),
-        { passive: false },
-      )
-      document.addEventListener(
-        "gesturechange",
-        safeEventHandler((e) => e.preventDefault(), "gesturechange"),
-        { passive: false },
-      )
-      document.addEventListener(
-        "gestureend",
-        safeEventHandler((e) => e.preventDefault(), "gestureend"),
-        { passive: false },
-      )
-    }
-
-    // Keyboard navigation handlers with error handling
-    document.addEventListener("keydown", safeEventHandler(handleKeyDown, "keydown"))
-    document.addEventListener("keyup", safeEventHandler(handleKeyUp, "keyup"))
-
-    // Prevent context menu on right-click to avoid interfering with navigation
-    document.addEventListener(
-      "contextmenu",
-      safeEventHandler((event) => {
-        event.preventDefault()
-      }, "contextmenu"),
-    )
-
-    // Handle window focus/blur to reset keyboard state
-    window.addEventListener(
-      "blur",
-      safeEventHandler(() => {
-        // Clear all pressed keys when window loses focus
-        AppState.input.keysPressed.clear()
-        stopKeyboardMovement()
-        AppState.input.touchActive = false
-      }, "blur"),
-    )
-
-    // Handle visibility change to pause/resume when tab is hidden
-    document.addEventListener(
-      "visibilitychange",
-      safeEventHandler(() => {
-        if (document.hidden) {
-          // Pause animations when tab is hidden
-          AppState.input.keysPressed.clear()
-          stopKeyboardMovement()
-        }
-      }, "visibilitychange"),
-    )
-
-    console.log("Event listeners set up successfully")
-  } catch (error) {
-    console.error("Failed to set up event listeners:", error)
-    handleInitializationError(error)
+function setViewportZoom(zoom) {
+  const viewer = getPrimaryViewer()
+  if (viewer) {
+    viewer.setViewportZoom(zoom)
   }
 }
 
@@ -1114,124 +9454,6 @@ function showUserError(message) {
   }, 5000)
 }
 
-/**
- * Optimized resize handler with debouncing for better performance
- */
-const handleResize = debounce(() => {
-  updateContainerDimensions()
-
-  // Update responsive state
-  responsiveManager.updateResponsiveState()
-
-  // Reapply mobile background fixes after resize
-  if (window.imageLoader && AppState.imageState.isLoaded) {
-    window.imageLoader.applyMobileBackgroundFixes()
-  }
-
-  // Recalculate viewport radius for new screen size
-  if (AppState.isLoaded) {
-    calculateViewportRadius()
-    updateViewportPosition()
-  }
-
-  console.log("Window resized:", AppState.container.width, "x", AppState.container.height)
-}, 100) // Debounce resize events to avoid excessive calculations
-
-/**
- * Handle orientation change
- */
-function handleOrientationChange() {
-  // Add a small delay to ensure the viewport has updated
-  setTimeout(() => {
-    updateContainerDimensions()
-
-    // Update responsive state
-    responsiveManager.updateResponsiveState()
-
-    // Reapply mobile background fixes after orientation change
-    if (window.imageLoader && AppState.imageState.isLoaded) {
-      window.imageLoader.applyMobileBackgroundFixes()
-    }
-
-    if (AppState.isLoaded) {
-      calculateViewportRadius()
-      updateViewportPosition()
-    }
-
-    console.log(
-      "Orientation changed:",
-      AppState.container.width,
-      "x",
-      AppState.container.height,
-      "(" + responsiveManager.orientation + ")",
-    )
-  }, 100)
-}
-
-/**
- * Handle touch start events
- */
-function handleTouchStart(event) {
-  if (!AppState.isLoaded) return
-
-  event.preventDefault() // Prevent default touch behavior
-
-  const touch = event.touches[0]
-  if (touch) {
-    AppState.input.touchActive = true
-    AppState.input.isMouseActive = false
-    AppState.input.keyboardActive = false
-
-    // Update touch position
-    AppState.input.mouseX = touch.clientX
-    AppState.input.mouseY = touch.clientY
-
-    // Convert touch position to viewport coordinates
-    const position = viewportController.mouseToViewportPosition(touch.clientX, touch.clientY)
-
-    // Update viewport position immediately for touch
-    viewportController.updateViewportPosition(position.x, position.y, false)
-  }
-}
-
-/**
- * Optimized touch move handler with adaptive throttling
- */
-const handleTouchMove = throttle((event) => {
-  if (!AppState.isLoaded || !AppState.input.touchActive) return
-
-  event.preventDefault() // Prevent scrolling and other default behaviors
-
-  const touch = event.touches[0]
-  if (touch) {
-    // Update touch position
-    AppState.input.mouseX = touch.clientX
-    AppState.input.mouseY = touch.clientY
-
-    // Convert touch position to viewport coordinates
-    const position = viewportController.mouseToViewportPosition(touch.clientX, touch.clientY)
-
-    // Update viewport position with optimized smoothing for responsive touch
-    viewportController.updateViewportPosition(position.x, position.y, true)
-  }
-}, 6) // Ultra-high frequency for touch (166fps) for maximum responsiveness
-
-/**
- * Handle touch end events
- */
-function handleTouchEnd(event) {
-  if (!AppState.isLoaded) return
-
-  event.preventDefault()
-
-  // Keep touch active state briefly to prevent mouse events from interfering
-  setTimeout(() => {
-    if (event.touches.length === 0) {
-      AppState.input.touchActive = false
-    }
-  }, 100)
-}
-
 /**
  * Legacy image load handlers (kept for compatibility)
  * Note: Main image loading is now handled by ImageLoader class
@@ -1283,282 +9505,54 @@ function debounce(func, delay) {
 }
 
 /**
- * Initialize viewport positioning with error handling
- */
-function initializeViewport() {
-  try {
-    // Set initial viewport position to center of screen
-    AppState.viewport.x = 0.5
-    AppState.viewport.y = 0.5
-
-    // Calculate responsive viewport radius
-    calculateViewportRadius()
-
-    // Update the viewport display
-    updateViewportPosition()
-
-    // Mark as loaded
-    AppState.isLoaded = true
-    document.body.classList.add("loaded")
-
-    console.log("Viewport initialized at center position")
-
-    // Test the viewport positioning
-    testViewportMask()
-
-    // Show success message briefly
-    if (loadingIndicator) {
-      loadingIndicator.innerHTML = "<p>✅ Ready to explore!</p>"
-      setTimeout(() => {
-        if (loadingIndicator) {
-          loadingIndicator.style.opacity = "0"
-          setTimeout(() => {
-            if (loadingIndicator) {
-              loadingIndicator.style.display = "none"
-            }
-          }, 300)
-        }
-      }, 1000)
-    }
-  } catch (error) {
-    console.error("Failed to initialize viewport:", error)
-    showUserError("Failed to initialize the binocular viewer. Please refresh the page.")
-  }
-}
-
-/**
- * Calculate responsive viewport radius based on screen size
- */
-function calculateViewportRadius() {
-  // Use responsive manager for optimal radius calculation
-  let baseRadius = responsiveManager.getOptimalViewportRadius()
-
-  const maxDimension = Math.max(AppState.container.width, AppState.container.height)
-  const minDimension = Math.min(AppState.container.width, AppState.container.height)
-  const aspectRatio = maxDimension / minDimension
-
-  // Adjust for extreme aspect ratios
-  if (aspectRatio > 2.5) {
-    baseRadius *= 0.75 // Reduce radius for very wide screens
-  } else if (aspectRatio > 2) {
-    baseRadius *= 0.85
-  }
-
-  // Ensure minimum and maximum bounds
-  AppState.viewport.radius = Math.max(60, Math.min(200, baseRadius))
-
-  console.log(
-    "Viewport radius calculated:",
-    AppState.viewport.radius,
-    "for",
-    AppState.container.width + "x" + AppState.container.height,
-    "(" + responsiveManager.orientation + ", " + responsiveManager.deviceType + ")",
-  )
-}
-
-/**
- * Highly optimized viewport position update with performance monitoring and error handling
- */
-function updateViewportPosition() {
-  if (!viewportMask) return
-
-  try {
-    // Performance monitoring
-    AppState.performance.updateCount++
-    const now = performance.now()
-
-    // Convert normalized coordinates to pixel coordinates
-    const pixelX = AppState.viewport.x * AppState.container.width
-    const pixelY = AppState.viewport.y * AppState.container.height
-
-    // Use appropriate update method based on browser support
-    if (AppState.browserSupport.customProperties && AppState.browserSupport.requestAnimationFrame) {
-      // Modern browser path with requestAnimationFrame
-      requestAnimationFrame(() => {
-        try {
-          // Update CSS custom properties in a single batch to minimize reflows
-          const style = viewportMask.style
-          style.setProperty("--viewport-x", `${pixelX}px`)
-          style.setProperty("--viewport-y", `${pixelY}px`)
-          style.setProperty("--viewport-radius", `${AppState.viewport.radius}px`)
-        } catch (error) {
-          console.warn("Failed to update CSS custom properties:", error)
-          // Fallback to direct style updates
-          updateViewportPositionFallback(pixelX, pixelY)
-        }
-      })
-    } else {
-      // Fallback for older browsers
-      updateViewportPositionFallback(pixelX, pixelY)
-    }
-
-    // Update performance metrics
-    AppState.performance.frameCount++
-    AppState.performance.lastUpdateTime = now
-
-    // Calculate FPS every second
-    if (now - AppState.performance.lastFpsUpdate > 1000) {
-      AppState.performance.fps = AppState.performance.frameCount
-      AppState.performance.frameCount = 0
-      AppState.performance.lastFpsUpdate = now
-
-      // Log performance metrics in development
-      if (window.location.hostname === "localhost" || window.location.hostname === "127.0.0.1") {
-        console.debug(`Performance: ${AppState.performance.fps} FPS, ${AppState.performance.updateCount} updates/sec`)
-        AppState.performance.updateCount = 0
-      }
-    }
-  } catch (error) {
-    console.error("Error updating viewport position:", error)
-    // Continue execution to prevent breaking the application
-  }
-}
-
-/**
- * Fallback viewport position update for older browsers
+ * Fetch and parse a JSON document, rejecting on HTTP errors
  */
-function updateViewportPositionFallback(pixelX, pixelY) {
-  try {
-    if (AppState.browserSupport.customProperties) {
-      // Use custom properties but without requestAnimationFrame
-      const style = viewportMask.style
-      style.setProperty("--viewport-x", `${pixelX}px`)
-      style.setProperty("--viewport-y", `${pixelY}px`)
-      style.setProperty("--viewport-radius", `${AppState.viewport.radius}px`)
-    } else {
-      // Direct style manipulation for very old browsers
-      if (window.fallbackViewport) {
-        window.fallbackViewport.x = `${pixelX}px`
-        window.fallbackViewport.y = `${pixelY}px`
-        window.fallbackViewport.radius = `${AppState.viewport.radius}px`
-      }
-
-      // Update background position as a basic fallback
-      if (viewportMask) {
-        viewportMask.style.backgroundPosition = `${pixelX}px ${pixelY}px`
-      }
-    }
-  } catch (error) {
-    console.error("Fallback viewport update failed:", error)
+async function fetchJson(url) {
+  const response = await fetch(url)
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status} loading ${url}`)
   }
+  return response.json()
 }
 
 /**
- * Set viewport position (normalized coordinates 0-1)
+ * Save a blob through the browser's download prompt
  */
-function setViewportPosition(normalizedX, normalizedY) {
-  // Clamp values to valid range
-  AppState.viewport.x = Math.max(0, Math.min(1, normalizedX))
-  AppState.viewport.y = Math.max(0, Math.min(1, normalizedY))
-
-  // Update display
-  updateViewportPosition()
+function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob)
+  const link = document.createElement("a")
+  link.href = url
+  link.download = fileName
+  link.click()
+
+  // Give the download time to start before releasing the data
+  setTimeout(() => URL.revokeObjectURL(url), 1000)
 }
 
 /**
- * Test function to verify viewport mask and navigation with error handling
+ * Format milliseconds as m:ss
  */
-function testViewportMask() {
-  try {
-    if (!viewportMask) {
-      console.error("Viewport mask element not found")
-      showUserError("Viewport mask initialization failed")
-      return
-    }
-
-    // Check if CSS custom properties are set
-    const computedStyle = getComputedStyle(viewportMask)
-    const viewportX = viewportMask.style.getPropertyValue("--viewport-x")
-    const viewportY = viewportMask.style.getPropertyValue("--viewport-y")
-    const viewportRadius = viewportMask.style.getPropertyValue("--viewport-radius")
-
-    console.log("Viewport mask test results:")
-    console.log("- Viewport X:", viewportX || "Not set (using fallback)")
-    console.log("- Viewport Y:", viewportY || "Not set (using fallback)")
-    console.log("- Viewport Radius:", viewportRadius || "Not set (using fallback)")
-
-    try {
-      console.log("- Background style:", computedStyle.background.substring(0, 50) + "...")
-    } catch (e) {
-      console.log("- Background style: Could not read (browser compatibility issue)")
-    }
-
-    // Test viewport positioning
-    if (AppState.browserSupport.customProperties) {
-      console.log("✅ Modern viewport positioning active")
-    } else {
-      console.log("⚠️ Using fallback viewport positioning")
-    }
-
-    // Navigation functionality ready
-    console.log("Navigation controls initialized:")
-    console.log("- Mouse tracking: Move your mouse to control viewport")
-    console.log("- Keyboard navigation: Use arrow keys or WASD to move")
-    console.log("- Hold keys for continuous movement")
-    console.log("- Boundary constraints active - viewport will stay within image bounds")
-
-    // Test a small viewport movement to verify functionality
-    const originalX = AppState.viewport.x
-    const originalY = AppState.viewport.y
-
-    // Move slightly and then back
-    AppState.viewport.x = 0.51
-    AppState.viewport.y = 0.51
-    updateViewportPosition()
-
-    setTimeout(() => {
-      AppState.viewport.x = originalX
-      AppState.viewport.y = originalY
-      updateViewportPosition()
-      console.log("✅ Viewport movement test completed successfully")
-    }, 100)
-  } catch (error) {
-    console.error("Error during viewport mask testing:", error)
-    showUserError("Viewport testing failed - some features may not work properly")
-  }
+function formatDuration(time) {
+  const seconds = Math.floor(time / 1000)
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`
 }
 
 /**
- * Show touch instructions for mobile devices
+ * Escape text before inserting it into HTML templates
  */
-function showTouchInstructions() {
-  const touchInstructions = document.getElementById("touchInstructions")
-
-  if (touchInstructions && responsiveManager.shouldUseTouchOptimizations()) {
-    // Show instructions initially
-    touchInstructions.classList.add("show")
-
-    // Hide instructions after first interaction or after 5 seconds
-    let hasInteracted = false
-
-    const hideInstructions = () => {
-      if (!hasInteracted) {
-        hasInteracted = true
-        touchInstructions.classList.remove("show", "initial")
-      }
-    }
-
-    // Hide on first touch
-    document.addEventListener("touchstart", hideInstructions, { once: true })
-
-    // Hide on first mouse move (for devices that support both)
-    document.addEventListener("mousemove", hideInstructions, { once: true })
-
-    // Hide on first key press
-    document.addEventListener("keydown", hideInstructions, { once: true })
-
-    // Auto-hide after 5 seconds
-    setTimeout(hideInstructions, 5000)
-  } else if (touchInstructions) {
-    // Hide instructions on desktop
-    touchInstructions.style.display = "none"
-  }
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;")
 }
 
 /**
  * Test function to verify error handling and browser compatibility
  */
-function testErrorHandling() {
+function testErrorHandling(viewer = getPrimaryViewer()) {
   console.log("=== Testing Error Handling and Browser Compatibility ===")
 
   // Test browser compatibility detection
@@ -1567,7 +9561,9 @@ function testErrorHandling() {
   console.log("- Custom Properties:", AppState.browserSupport.customProperties ? "✅ Supported" : "❌ Not supported")
   console.log("- RequestAnimationFrame:", AppState.browserSupport.requestAnimationFrame ? "✅ Supported" : "❌ Not supported")
   console.log("- Touch Events:", AppState.browserSupport.touchEvents ? "✅ Supported" : "❌ Not supported")
+  console.log("- Pointer Events:", AppState.browserSupport.pointerEvents ? "✅ Supported" : "❌ Not supported")
   console.log("- Modern CSS:", AppState.browserSupport.modernCSS ? "✅ Supported" : "❌ Not supported")
+  console.log("- Custom Elements:", AppState.browserSupport.customElements ? "✅ Supported" : "❌ Not supported")
 
   // Test error handling by simulating an error
   console.log("\nTesting error handling...")
@@ -1579,11 +9575,14 @@ function testErrorHandling() {
   }
 
   // Test image loading state
-  console.log("\nImage Loading State:")
-  console.log("- Is Loading:", AppState.imageState.isLoading)
-  console.log("- Is Loaded:", AppState.imageState.isLoaded)
-  console.log("- Has Error:", AppState.imageState.hasError)
-  console.log("- Retry Count:", AppState.imageState.retryCount)
+  if (viewer) {
+    const { imageState } = viewer.state
+    console.log("\nImage Loading State:")
+    console.log("- Is Loading:", imageState.isLoading)
+    console.log("- Is Loaded:", imageState.isLoaded)
+    console.log("- Has Error:", imageState.hasError)
+    console.log("- Retry Count:", imageState.retryCount)
+  }
 
   console.log("\n=== Error Handling Test Complete ===")
 }
@@ -1637,32 +9636,56 @@ const GitHubPagesOptimizer = {
   },
 }
 
+/**
+ * Register the <binocular-viewer> element; existing elements upgrade immediately
+ */
+function startApplication() {
+  GitHubPagesOptimizer.optimizeAssetLoading()
+  GitHubPagesOptimizer.addPerformanceMonitoring()
+
+  // Global error handlers (page-wide, shared by all viewers)
+  window.addEventListener("error", handleGlobalError)
+  window.addEventListener("unhandledrejection", handleUnhandledRejection)
+
+  if (!AppState.browserSupport.customElements) {
+    AppState.hasError = true
+    AppState.errorMessage = "Custom elements are not supported"
+    console.error("Failed to initialize Binocular Viewer: custom elements are not supported")
+    showUserError("This browser is not supported. Please use a modern browser to explore the image.")
+    return
+  }
+
+  if (!customElements.get("binocular-viewer")) {
+    customElements.define("binocular-viewer", BinocularViewer)
+  }
+}
+
 /**
  * Start the application when DOM is ready
  */
 if (document.readyState === "loading") {
-  document.addEventListener("DOMContentLoaded", () => {
-    GitHubPagesOptimizer.optimizeAssetLoading()
-    GitHubPagesOptimizer.addPerformanceMonitoring()
-    init()
-  })
+  document.addEventListener("DOMContentLoaded", startApplication)
 } else {
-  GitHubPagesOptimizer.optimizeAssetLoading()
-  GitHubPagesOptimizer.addPerformanceMonitoring()
-  init()
+  startApplication()
 }
 
 /**
  * Application health check and monitoring
  */
-function performHealthCheck() {
+function performHealthCheck(viewer = getPrimaryViewer()) {
+  if (!viewer) {
+    console.warn("Health check skipped: no <binocular-viewer> on the page")
+    return null
+  }
+
+  const { state } = viewer
   const healthStatus = {
-    initialization: AppState.isLoaded && !AppState.hasError,
-    imageLoading: AppState.imageState.isLoaded && !AppState.imageState.hasError,
+    initialization: state.isLoaded && !AppState.hasError,
+    imageLoading: state.imageState.isLoaded && !state.imageState.hasError,
     browserSupport: AppState.browserSupport.modernCSS && AppState.browserSupport.clipPath,
-    domElements: !!(binocularContainer && backgroundImage && viewportMask),
-    eventListeners: true, // Assume true if we got this far
-    viewport: AppState.viewport.x >= 0 && AppState.viewport.y >= 0,
+    domElements: !!(viewer.binocularContainer && viewer.backgroundImage && viewer.viewportMask),
+    eventListeners: !!viewer.listenerController,
+    viewport: state.viewport.x >= 0 && state.viewport.y >= 0,
   }
 
   const healthScore = Object.values(healthStatus).filter(Boolean).length / Object.keys(healthStatus).length
@@ -1763,9 +9786,12 @@ console.log("🛡️ Error handling and browser compatibility features initializ
 /**
  * Debug function for mobile background image issues
  */
-function debugMobileBackground() {
+function debugMobileBackground(viewer = getPrimaryViewer()) {
   console.log("=== Mobile Background Debug Info ===")
 
+  const backgroundImage = viewer && viewer.backgroundImage
+  const responsiveManager = viewer && viewer.responsiveManager
+
   if (backgroundImage) {
     const computedStyle = getComputedStyle(backgroundImage)
     const rect = backgroundImage.getBoundingClientRect()
@@ -1779,6 +9805,7 @@ function debugMobileBackground() {
 
     console.log("\nViewport Info:")
     console.log("- Window dimensions:", window.innerWidth + "x" + window.innerHeight)
+    console.log("- Viewer dimensions:", viewer.state.container.width + "x" + viewer.state.container.height)
     console.log("- Device pixel ratio:", window.devicePixelRatio || 1)
     console.log("- Orientation:", responsiveManager.orientation)
     console.log("- Device type:", responsiveManager.deviceType)
@@ -1786,16 +9813,16 @@ function debugMobileBackground() {
 
     console.log("\nCSS Applied Classes:")
     console.log("- Body classes:", document.body.className)
+    console.log("- Viewer classes:", viewer.className)
     console.log("- Background classes:", backgroundImage.className)
 
-    // Check if background is too small
-    if (rect.width < window.innerWidth * 0.8 || rect.height < window.innerHeight * 0.8) {
+    // Check if background is too small for its viewer
+    const viewerRect = viewer.getBoundingClientRect()
+    if (rect.width < viewerRect.width * 0.8 || rect.height < viewerRect.height * 0.8) {
       console.warn("⚠️ Background appears to be smaller than expected!")
       console.log("Attempting to fix...")
 
-      if (window.imageLoader) {
-        window.imageLoader.applyMobileBackgroundFixes()
-      }
+      viewer.imageLoader.applyMobileBackgroundFixes()
     } else {
       console.log("✅ Background size appears normal")
     }
@@ -0,0 +1,220 @@
+/**
+ * Relay for shared views between binocular viewers (see "Shared views" in the README)
+ *
+ * Forwards every message a viewer sends to the other viewers in the same room,
+ * where the room is the URL path (ws://host:8787/strategy-review). Uses only
+ * Node.js built-ins, so it runs without installing anything:
+ *
+ *   node sync-relay.js [port]
+ */
+const http = require("http")
+const crypto = require("crypto")
+
+const port = Number(process.argv[2]) || 8787
+
+// WebSocket handshake key suffix (RFC 6455)
+const WEBSOCKET_GUID = "258EAFA5-E914-47DA-95CA-C5AB0DC85B11"
+
+// Largest message accepted from a viewer, in bytes
+const MAX_MESSAGE_SIZE = 1024 * 1024
+
+// Frame opcodes
+const Opcodes = {
+  continuation: 0x0,
+  text: 0x1,
+  binary: 0x2,
+  close: 0x8,
+  ping: 0x9,
+  pong: 0xa,
+}
+
+// Sockets by room name
+const rooms = new Map()
+
+/**
+ * Build an unmasked frame (servers never mask)
+ */
+function encodeFrame(opcode, payload) {
+  const length = payload.length
+  let header
+
+  if (length < 126) {
+    header = Buffer.from([0x80 | opcode, length])
+  } else if (length < 65536) {
+    header = Buffer.alloc(4)
+    header[0] = 0x80 | opcode
+    header[1] = 126
+    header.writeUInt16BE(length, 2)
+  } else {
+    header = Buffer.alloc(10)
+    header[0] = 0x80 | opcode
+    header[1] = 127
+    header.writeBigUInt64BE(BigInt(length), 2)
+  }
+
+  return Buffer.concat([header, payload])
+}
+
+/**
+ * Read one complete frame from the start of a buffer (null until it has fully arrived)
+ */
+function decodeFrame(buffer) {
+  if (buffer.length < 2) return null
+
+  const fin = (buffer[0] & 0x80) !== 0
+  const opcode = buffer[0] & 0x0f
+  const masked = (buffer[1] & 0x80) !== 0
+  let length = buffer[1] & 0x7f
+  let offset = 2
+
+  if (length === 126) {
+    if (buffer.length < 4) return null
+    length = buffer.readUInt16BE(2)
+    offset = 4
+  } else if (length === 127) {
+    if (buffer.length < 10) return null
+    length = Number(buffer.readBigUInt64BE(2))
+    offset = 10
+  }
+
+  if (length > MAX_MESSAGE_SIZE) return { tooLarge: true }
+
+  const maskOffset = offset
+  if (masked) offset += 4
+  if (buffer.length < offset + length) return null
+
+  const payload = Buffer.from(buffer.subarray(offset, offset + length))
+  if (masked) {
+    for (let i = 0; i < payload.length; i++) {
+      payload[i] ^= buffer[maskOffset + (i % 4)]
+    }
+  }
+
+  return { fin, opcode, payload, size: offset + length }
+}
+
+/**
+ * Send a text message to everyone else in the room
+ */
+function broadcast(room, sender, text) {
+  const frame = encodeFrame(Opcodes.text, Buffer.from(text))
+
+  for (const socket of rooms.get(room) || []) {
+    if (socket !== sender && !socket.destroyed) socket.write(frame)
+  }
+}
+
+/**
+ * Add a socket to its room and relay its messages until it leaves
+ */
+function join(socket, room) {
+  if (!rooms.has(room)) rooms.set(room, new Set())
+  rooms.get(room).add(socket)
+  console.log(`Viewer joined "${room}" (${rooms.get(room).size} connected)`)
+
+  let received = Buffer.alloc(0)
+  let fragments = []
+  let fragmentsSize = 0
+  let closing = false
+
+  const leave = () => {
+    const sockets = rooms.get(room)
+    if (!sockets || !sockets.delete(socket)) return
+
+    if (sockets.size === 0) rooms.delete(room)
+    console.log(`Viewer left "${room}" (${sockets.size} connected)`)
+  }
+
+  // Send a close frame and ignore anything that still arrives
+  const close = (payload) => {
+    closing = true
+    socket.end(encodeFrame(Opcodes.close, payload))
+    leave()
+  }
+
+  socket.on("data", (chunk) => {
+    if (closing) return
+    received = Buffer.concat([received, chunk])
+
+    let frame
+    while ((frame = decodeFrame(received))) {
+      if (frame.tooLarge) {
+        close(Buffer.from([0x03, 0xf1])) // 1009: message too big
+        return
+      }
+      received = received.subarray(frame.size)
+
+      switch (frame.opcode) {
+        case Opcodes.text:
+        case Opcodes.continuation:
+          // The cap applies to the whole message, not just one fragment
+          fragmentsSize += frame.payload.length
+          if (fragmentsSize > MAX_MESSAGE_SIZE) {
+            close(Buffer.from([0x03, 0xf1])) // 1009: message too big
+            return
+          }
+
+          fragments.push(frame.payload)
+          if (frame.fin) {
+            broadcast(room, socket, Buffer.concat(fragments).toString("utf8"))
+            fragments = []
+            fragmentsSize = 0
+          }
+          break
+
+        case Opcodes.ping:
+          socket.write(encodeFrame(Opcodes.pong, frame.payload))
+          break
+
+        case Opcodes.close:
+          close(frame.payload.subarray(0, 2))
+          return
+
+        // Viewers only send text; binary frames and pongs are ignored
+      }
+    }
+  })
+
+  socket.on("close", leave)
+  socket.on("error", (error) => {
+    console.warn("Viewer connection error:", error.message)
+    leave()
+  })
+}
+
+const server = http.createServer((request, response) => {
+  response.writeHead(426, { "Content-Type": "text/plain" })
+  response.end("Binocular viewer sync relay: connect with a WebSocket\n")
+})
+
+server.on("upgrade", (request, socket) => {
+  const key = request.headers["sec-websocket-key"]
+  if (!key || (request.headers.upgrade || "").toLowerCase() !== "websocket") {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n")
+    return
+  }
+
+  // The path names the room; a malformed one is rejected rather than taking the relay down
+  let room
+  try {
+    room = decodeURIComponent(new URL(request.url, "http://relay").pathname.slice(1)) || "default"
+  } catch (error) {
+    socket.end("HTTP/1.1 400 Bad Request\r\n\r\n")
+    return
+  }
+
+  const accept = crypto.createHash("sha1").update(key + WEBSOCKET_GUID).digest("base64")
+  socket.write(
+    "HTTP/1.1 101 Switching Protocols\r\n" +
+      "Upgrade: websocket\r\n" +
+      "Connection: Upgrade\r\n" +
+      `Sec-WebSocket-Accept: ${accept}\r\n\r\n`
+  )
+  socket.setNoDelay(true)
+
+  join(socket, room)
+})
+
+server.listen(port, () => {
+  console.log(`Sync relay listening on ws://localhost:${port}/<room>`)
+})